@@ -0,0 +1,178 @@
+// server/accounts.js
+// Player identities issued by the server. An account has a unique username
+// and a password; a guest only has a display name. Both get a server-made
+// userId (what ratings and match history are keyed by) and session tokens
+// that authenticate `join`. A guest who registers keeps their userId, and so
+// their rating and history. Guests who stay away for GUEST_TTL are forgotten.
+// Persisted through jsonStore.js.
+import { randomBytes, randomUUID, scryptSync, timingSafeEqual } from "node:crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+export const USERNAME_MIN = 2;
+export const USERNAME_MAX = 20;
+export const PASSWORD_MIN = 6;
+export const GUEST_TTL = 30 * 24 * 60 * 60 * 1000;
+// Every guest join changes the accounts, so they're written in the background
+// at most this often (ms).
+export const ACCOUNTS_SAVE_DELAY = 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[\p{L}\p{N}_ .-]+$/u;
+
+// Names may not contain these as words, even spelled with look-alike digits
+// or spaced out letter by letter. Only whole words count, so names that merely
+// contain one ("Scunthorpe", "Mash It") are fine.
+const BLOCKED_WORDS = [
+  "fuck", "shit", "cunt", "bitch", "whore", "slut", "nigger", "nigga", "faggot",
+  "retard", "nazi", "hitler", "penis", "vagina", "pussy",
+];
+const BLOCKED_ENDINGS = ["", "s", "es", "er", "ers", "y", "ty", "ing", "ed"];
+const LOOK_ALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", 9: "g" };
+
+// The name's words: split at separators and camelCase humps, with runs of
+// single letters ("F.U.C.K") put back together.
+function nameWords(name) {
+  const tokens = name
+    .replace(/(\p{Ll})(\p{Lu})/gu, "$1 $2")
+    .toLowerCase()
+    .replace(/[0-9]/g, (d) => LOOK_ALIKES[d] ?? d)
+    .split(/[^\p{L}]+/u)
+    .filter(Boolean);
+  const words = [];
+  let letters = "";
+  tokens.forEach((token) => {
+    if (token.length === 1) return (letters += token);
+    if (letters) words.push(letters);
+    letters = "";
+    words.push(token);
+  });
+  if (letters) words.push(letters);
+  return words;
+}
+
+function isOffensive(name) {
+  return nameWords(name).some((w) => BLOCKED_WORDS.some((word) => BLOCKED_ENDINGS.some((end) => w === word + end)));
+}
+
+// Surrounding spaces dropped and inner runs of whitespace made one space.
+const normalizeName = (name) => (typeof name === "string" ? name.trim().replace(/\s+/g, " ") : "");
+
+function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  return { salt, hash: scryptSync(password, salt, 32).toString("hex") };
+}
+
+function checkPassword(account, password) {
+  const { hash } = hashPassword(password, account.salt);
+  return timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(account.hash, "hex"));
+}
+
+// Returns the trimmed name or throws with the reason it can't be used.
+export function validateUsername(name) {
+  const username = normalizeName(name);
+  if (username.length < USERNAME_MIN || username.length > USERNAME_MAX) {
+    throw new Error(`Usernames are ${USERNAME_MIN} to ${USERNAME_MAX} characters long`);
+  }
+  if (!USERNAME_PATTERN.test(username)) throw new Error("Usernames can only use letters, numbers, spaces, _ . and -");
+  if (isOffensive(username)) throw new Error("Please pick a different name");
+  return username;
+}
+
+export function createAccountStore(file = null, {
+  now = Date.now, guestTtl = GUEST_TTL, saveDelay = ACCOUNTS_SAVE_DELAY,
+} = {}) {
+  const accounts = new Map(); // userId -> { userId, username, guest, seenAt?, salt?, hash? }
+  const byName = new Map(); // lowercased username -> userId, registered accounts only
+  const sessions = new Map(); // token -> userId
+  const store = createJsonStore(file, {
+    name: "accounts",
+    snapshot: () => ({ accounts: [...accounts.values()], sessions: Object.fromEntries(sessions) }),
+    delay: saveDelay,
+  });
+  let prunedAt = now();
+
+  const saved = store.load();
+  saved?.accounts.forEach((account) => {
+    // Guests saved before they were timed get a full term from now.
+    if (account.guest) account.seenAt ??= prunedAt;
+    accounts.set(account.userId, account);
+    if (!account.guest) byName.set(account.username.toLowerCase(), account.userId);
+  });
+  Object.entries(saved?.sessions ?? {}).forEach(([token, userId]) => sessions.set(token, userId));
+
+  // Drops guests last seen more than `guestTtl` ago, and their sessions.
+  function pruneGuests() {
+    prunedAt = now();
+    const stale = new Set();
+    accounts.forEach((account, userId) => {
+      if (account.guest && prunedAt - account.seenAt > guestTtl) stale.add(userId);
+    });
+    if (!stale.size) return;
+    stale.forEach((userId) => accounts.delete(userId));
+    sessions.forEach((userId, token) => {
+      if (stale.has(userId)) sessions.delete(token);
+    });
+    store.save();
+  }
+
+  // What the client is told about its session.
+  function startSession(account) {
+    const token = randomBytes(24).toString("hex");
+    sessions.set(token, account.userId);
+    store.save();
+    return { token, userId: account.userId, username: account.username, guest: account.guest };
+  }
+
+  function authenticate(token) {
+    const userId = typeof token === "string" ? sessions.get(token) : undefined;
+    const account = userId ? accounts.get(userId) : null;
+    if (account?.guest) {
+      account.seenAt = now();
+      store.save();
+    }
+    return account ?? null;
+  }
+
+  // Guests may use any name that isn't a registered account's.
+  function guest(name) {
+    const username = validateUsername(name);
+    if (byName.has(username.toLowerCase())) throw new Error("That name belongs to an account. Log in or pick another.");
+    if (now() - prunedAt >= PRUNE_INTERVAL) pruneGuests();
+    const account = { userId: randomUUID(), username, guest: true, seenAt: now() };
+    accounts.set(account.userId, account);
+    return startSession(account);
+  }
+
+  // A fresh account, or the upgrade of the guest whose session `token` is.
+  function register(details) {
+    const { username: name, password, token } = details ?? {};
+    const username = validateUsername(name);
+    if (typeof password !== "string" || password.length < PASSWORD_MIN) {
+      throw new Error(`Passwords need at least ${PASSWORD_MIN} characters`);
+    }
+    if (byName.has(username.toLowerCase())) throw new Error("That username is taken");
+    const current = authenticate(token);
+    const upgrading = Boolean(current?.guest);
+    const account = upgrading ? current : { userId: randomUUID() };
+    delete account.seenAt;
+    Object.assign(account, { username, guest: false, ...hashPassword(password) });
+    accounts.set(account.userId, account);
+    byName.set(username.toLowerCase(), account.userId);
+    if (upgrading) sessions.delete(token);
+    return startSession(account);
+  }
+
+  function login(details) {
+    const { username, password } = details ?? {};
+    const account = accounts.get(byName.get(normalizeName(username).toLowerCase()));
+    if (!account || typeof password !== "string" || !checkPassword(account, password)) {
+      throw new Error("Wrong username or password");
+    }
+    return startSession(account);
+  }
+
+  function logout(token) {
+    if (sessions.delete(token)) store.save();
+  }
+
+  return { authenticate, guest, register, login, logout, flush: store.flush };
+}
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { GUEST_TTL, createAccountStore, validateUsername } from "./accounts.js";
+
+test("usernames are unique regardless of case and logins check the password", () => {
+  const accounts = createAccountStore();
+  const session = accounts.register({ username: "Alice", password: "hunter22" });
+  assert.equal(session.username, "Alice");
+  assert.equal(session.guest, false);
+  assert.equal(accounts.authenticate(session.token).userId, session.userId);
+  assert.throws(() => accounts.register({ username: "alice", password: "another1" }), /taken/);
+  assert.throws(() => accounts.login({ username: "alice", password: "wrong-one" }), /Wrong username or password/);
+  assert.equal(accounts.login({ username: "ALICE", password: "hunter22" }).userId, session.userId);
+  accounts.register({ username: "dave  the  great", password: "secret1" });
+  assert.equal(accounts.login({ username: " Dave the   great ", password: "secret1" }).username, "dave the great");
+});
+
+test("a guest who registers keeps their userId and the old session ends", () => {
+  const accounts = createAccountStore();
+  const guest = accounts.guest("bob");
+  assert.equal(guest.guest, true);
+  const upgraded = accounts.register({ username: "bobby", password: "secret1", token: guest.token });
+  assert.equal(upgraded.userId, guest.userId);
+  assert.equal(accounts.authenticate(guest.token), null);
+  assert.equal(accounts.authenticate(upgraded.token).username, "bobby");
+  assert.throws(() => accounts.guest("Bobby"), /belongs to an account/);
+});
+
+test("logging out ends the session", () => {
+  const accounts = createAccountStore();
+  const { token } = accounts.register({ username: "carol", password: "secret1" });
+  accounts.logout(token);
+  assert.equal(accounts.authenticate(token), null);
+});
+
+test("usernames are checked for length, characters and bad words", () => {
+  assert.equal(validateUsername("  dave   the  great "), "dave the great");
+  assert.throws(() => validateUsername("x"), /2 to 20/);
+  assert.throws(() => validateUsername("<script>"), /letters, numbers/);
+  assert.throws(() => validateUsername("sh1t head"), /different name/);
+  assert.throws(() => validateUsername("F.U.C.K"), /different name/);
+  assert.throws(() => validateUsername("FuckYou"), /different name/);
+  for (const name of ["Dickens", "Ignazio", "Mash It", "Scunthorpe"]) assert.equal(validateUsername(name), name);
+  assert.throws(() => createAccountStore().register({ username: "erin", password: "short" }), /at least 6/);
+});
+
+test("guests who stay away are forgotten, and accounts are saved in batches", async () => {
+  let time = 0;
+  const file = join(mkdtempSync(join(tmpdir(), "accounts-")), "accounts.json");
+  const accounts = createAccountStore(file, { now: () => time, saveDelay: 60 * 1000 });
+  const gone = accounts.guest("frank");
+  const back = accounts.guest("grace");
+  const member = accounts.register({ username: "heidi", password: "secret1" });
+  assert.equal(existsSync(file), false);
+
+  time += GUEST_TTL - 1;
+  accounts.authenticate(back.token);
+  time += 2;
+  accounts.guest("ivan");
+  assert.equal(accounts.authenticate(gone.token), null);
+  assert.equal(accounts.authenticate(back.token).username, "grace");
+  assert.equal(accounts.authenticate(member.token).username, "heidi");
+
+  await accounts.flush();
+  const reloaded = createAccountStore(file);
+  assert.equal(reloaded.authenticate(gone.token), null);
+  assert.equal(reloaded.authenticate(back.token).username, "grace");
+});
@@ -0,0 +1,45 @@
+// server/bot.js
+// A stand-in opponent for players left waiting in the queue. It looks enough
+// like a socket for the game server to seat it in a room, and "draws" each
+// round by replaying a human's recorded track for the prompt in real time.
+export const BOT_NAME = "Bot";
+
+let nextBot = 1;
+
+// `drawings` is the library of recorded tracks; `perform(bot, op)` applies one
+// of the replayed ops as if the bot had sent it. `now` is the game server's clock.
+// `opponentId` is the userId of the player it faces, whose own drawings it
+// never replays.
+export function createBot({ drawings, perform, now = Date.now, opponentId = null }) {
+  const timers = new Set();
+
+  function stop() {
+    timers.forEach(clearTimeout);
+    timers.clear();
+  }
+
+  function play({ prompt, roundStartTime }) {
+    stop();
+    const elapsed = now() - roundStartTime;
+    for (const op of drawings.pick(prompt, opponentId) ?? []) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        perform(bot, op);
+      }, Math.max(0, op.t - elapsed));
+      timers.add(timer);
+    }
+  }
+
+  const id = `bot-${nextBot++}`;
+  const bot = {
+    id,
+    data: { username: BOT_NAME, userId: id, bot: true },
+    join() {},
+    leave() {},
+    emit(event, data) {
+      if (event === "round-start") play(data);
+      else if (event === "round-ended" || event === "series-forfeit" || event === "opponent-leave") stop();
+    },
+  };
+  return bot;
+}
@@ -0,0 +1,119 @@
+// server/bracket.js
+// Elimination brackets as a graph of matches. Each match slot is fed by a
+// seed or by the winner or loser of an earlier match:
+//
+// { id, bracket: "winners" | "losers" | "final", round, sources: [src, src],
+//   players: [id, id], winner, loser }
+//
+// A player slot holds an entrant id, BYE, or null while its source is
+// undecided. Matches against a BYE settle themselves.
+export const BYE = "bye";
+export const MIN_PLAYERS = 4;
+export const MAX_PLAYERS = 16;
+
+// Standard placement, so seeds 1 and 2 can only meet in the final: for 8 it
+// is 1 v 8, 4 v 5, 2 v 7, 3 v 6.
+export function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, sum - seed]);
+  }
+  return order;
+}
+
+// `ids` are entrant ids in seed order (best first).
+export function createBracket(ids, { double = false } = {}) {
+  if (ids.length < MIN_PLAYERS || ids.length > MAX_PLAYERS) {
+    throw new Error(`Tournaments need ${MIN_PLAYERS} to ${MAX_PLAYERS} players`);
+  }
+  let size = MIN_PLAYERS;
+  while (size < ids.length) size *= 2;
+  const matches = [];
+  const add = (bracket, round, sources) => {
+    const match = { id: matches.length, bracket, round, sources, players: [null, null], winner: null, loser: null };
+    matches.push(match);
+    return match;
+  };
+  const pairUp = (list, fn) => list.flatMap((x, i) => (i % 2 ? [] : [fn(x, list[i + 1])]));
+
+  // Winners bracket.
+  const order = seedOrder(size);
+  let wbRound = pairUp(order, (a, b) => add("winners", 1, [{ seed: a - 1 }, { seed: b - 1 }]));
+  const wbRounds = [wbRound];
+  for (let round = 2; wbRound.length > 1; round++) {
+    wbRound = pairUp(wbRound, (a, b) => add("winners", round, [{ winnerOf: a.id }, { winnerOf: b.id }]));
+    wbRounds.push(wbRound);
+  }
+  let final = wbRound[0];
+
+  if (double) {
+    // Losers bracket: first-round losers pair up, then each winners-bracket
+    // round drops its losers in (in reverse order, to put off rematches),
+    // with a round in between that halves the field.
+    let lbRound = pairUp(wbRounds[0], (a, b) => add("losers", 1, [{ loserOf: a.id }, { loserOf: b.id }]));
+    let lbNext = 2;
+    for (let r = 1; r < wbRounds.length; r++) {
+      const dropping = [...wbRounds[r]].reverse();
+      const dropRound = lbNext++;
+      lbRound = lbRound.map((m, i) => add("losers", dropRound, [{ winnerOf: m.id }, { loserOf: dropping[i].id }]));
+      if (lbRound.length > 1) {
+        const halveRound = lbNext++;
+        lbRound = pairUp(lbRound, (a, b) => add("losers", halveRound, [{ winnerOf: a.id }, { winnerOf: b.id }]));
+      }
+    }
+    // A single grand final: the losers-bracket champion must win it once.
+    final = add("final", 1, [{ winnerOf: final.id }, { winnerOf: lbRound[0].id }]);
+  }
+
+  const bracket = { size, double, ids, matches, finalId: final.id };
+  settle(bracket);
+  return bracket;
+}
+
+function resolve(bracket, src) {
+  if ("seed" in src) return src.seed < bracket.ids.length ? bracket.ids[src.seed] : BYE;
+  const from = bracket.matches[src.winnerOf ?? src.loserOf];
+  return "winnerOf" in src ? from.winner : from.loser;
+}
+
+// Fills in players whose sources are decided and plays out BYE matches.
+function settle(bracket) {
+  for (const match of bracket.matches) {
+    if (match.winner !== null) continue;
+    match.players = match.sources.map((src) => resolve(bracket, src));
+    const [a, b] = match.players;
+    if (a === null || b === null) continue;
+    if (a === BYE || b === BYE) {
+      match.winner = a === BYE ? b : a;
+      match.loser = BYE;
+    }
+  }
+}
+
+// Matches both of whose players are known and that still need playing.
+export function readyMatches(bracket) {
+  return bracket.matches.filter((m) => m.winner === null && m.players.every((p) => p !== null && p !== BYE));
+}
+
+export function recordResult(bracket, matchId, winnerId) {
+  const match = bracket.matches[matchId];
+  if (match.winner !== null || !match.players.includes(winnerId)) throw new Error("Not a player in an open match");
+  match.winner = winnerId;
+  match.loser = match.players[0] === winnerId ? match.players[1] : match.players[0];
+  settle(bracket);
+}
+
+export function champion(bracket) {
+  return bracket.matches[bracket.finalId].winner;
+}
+
+// Players knocked out so far: one loss in single elimination, two in double.
+export function eliminated(bracket) {
+  const losses = new Map();
+  for (const { loser } of bracket.matches) {
+    if (loser !== null && loser !== BYE) losses.set(loser, (losses.get(loser) ?? 0) + 1);
+  }
+  const done = champion(bracket) !== null;
+  return new Set(bracket.ids.filter((id) => (done && id !== champion(bracket)) || losses.get(id) >= (bracket.double ? 2 : 1)));
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BYE, champion, createBracket, eliminated, readyMatches, recordResult, seedOrder } from "./bracket.js";
+
+const ids = (n) => Array.from({ length: n }, (_, i) => `p${i + 1}`);
+
+// Plays every ready match until the bracket is decided; `pick` chooses the winner.
+function playOut(bracket, pick = ([a, b]) => (a < b ? a : b)) {
+  let played = 0;
+  for (let ready = readyMatches(bracket); ready.length; ready = readyMatches(bracket)) {
+    for (const match of ready) {
+      recordResult(bracket, match.id, pick(match.players));
+      played++;
+    }
+  }
+  return played;
+}
+
+test("seeds so the top two can only meet in the final", () => {
+  assert.deepEqual(seedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test("single elimination gives top seeds byes and crowns one champion", () => {
+  const bracket = createBracket(ids(6));
+  assert.equal(bracket.size, 8);
+  // p1 and p2 have byes into round 2.
+  assert.deepEqual(readyMatches(bracket).map((m) => m.players), [["p4", "p5"], ["p3", "p6"]]);
+  assert.equal(bracket.matches[0].loser, BYE);
+  assert.equal(playOut(bracket), 5);
+  assert.equal(champion(bracket), "p1");
+  assert.equal(eliminated(bracket).size, 5);
+});
+
+test("double elimination sends losers to a second chance", () => {
+  const bracket = createBracket(ids(4), { double: true });
+  assert.equal(bracket.matches.length, 6);
+  const [first] = readyMatches(bracket);
+  recordResult(bracket, first.id, "p4");
+  assert.equal(eliminated(bracket).size, 0);
+  // The upset p1 can still win it all through the losers bracket.
+  playOut(bracket, (players) => (players.includes("p1") ? "p1" : players.includes("p4") ? "p4" : players[0]));
+  assert.equal(champion(bracket), "p1");
+});
+
+test("a 16-player double elimination plays every match once", () => {
+  const bracket = createBracket(ids(16), { double: true });
+  assert.equal(playOut(bracket), 15 + 14 + 1);
+  assert.equal(champion(bracket), "p1");
+  assert.throws(() => createBracket(ids(3)), /4 to 16/);
+});
@@ -0,0 +1,40 @@
+// server/config.js
+// All server settings come from the environment so the same build can run
+// locally, in CI or on a host like Render.
+
+function num(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export const PORT = num(process.env.PORT, 3001);
+export const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || "*";
+export const DRAW_TIME = num(process.env.DRAW_TIME, 60);
+// Seconds a player who drops mid-round has to reconnect before forfeiting.
+export const RECONNECT_GRACE = num(process.env.RECONNECT_GRACE, 20);
+// Seconds between the rounds of a best-of-N series.
+export const SERIES_BREAK = num(process.env.SERIES_BREAK, 5);
+// Seconds between tournament bracket rounds.
+export const BRACKET_BREAK = num(process.env.BRACKET_BREAK, 8);
+// Seconds spectators have to vote once a private room's round is over.
+export const VOTE_TIME = num(process.env.VOTE_TIME, 15);
+// Seconds a player who opted in waits in the queue before the bot steps in.
+export const BOT_WAIT = num(process.env.BOT_WAIT, 30);
+// JSON file accounts and sessions are persisted to; unset keeps them in memory only.
+export const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || null;
+// JSON file ratings are persisted to; unset keeps them in memory only.
+export const RATINGS_FILE = process.env.RATINGS_FILE || null;
+// JSON file of recorded drawings for the bot to replay; unset keeps them in memory only.
+export const DRAWINGS_FILE = process.env.DRAWINGS_FILE || null;
+// JSON file players' match histories are persisted to; unset keeps them in memory only.
+export const HISTORY_FILE = process.env.HISTORY_FILE || null;
+// Directory of JSON prompt packs to offer alongside the built-in ones.
+export const PROMPT_PACKS_DIR = process.env.PROMPT_PACKS_DIR || null;
+// Judge backend: "local" (offline heuristic), "embedding" (OpenAI) or "stub".
+export const JUDGE = process.env.JUDGE || "local";
+export const OPENAI_API_KEY = process.env.OPENAI_API_KEY || null;
+// Point at a compatible embeddings API, e.g. a local mock.
+export const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || null;
+export const JUDGE_TIMEOUT = num(process.env.JUDGE_TIMEOUT, 8);
+// Judged rounds allowed per player per hour before the local judge takes over.
+export const JUDGE_RATE_LIMIT = num(process.env.JUDGE_RATE_LIMIT, 30);
@@ -0,0 +1,36 @@
+// server/drawings.js
+// Human drawings the bot replays, keyed by prompt text. Each is one player's
+// track of timed canvas ops from a finished round (see shared/recording.js),
+// stored with its strokes packed (see shared/encoding.js) and the userId of
+// whoever drew it, and persisted through jsonStore.js.
+import { packTrack, unpackTrack } from "../src/shared/encoding.js";
+import { createJsonStore } from "./jsonStore.js";
+
+export function createDrawingLibrary({ file = null, perPrompt = 10, random = Math.random } = {}) {
+  const tracks = new Map(); // prompt text -> tracks, oldest first
+  const store = createJsonStore(file, { name: "drawings", snapshot: () => Object.fromEntries(tracks) });
+  // Older files hold bare tracks, with no author.
+  Object.entries(store.load() ?? {}).forEach(([prompt, list]) => {
+    tracks.set(prompt, list.map((entry) => (Array.isArray(entry) ? { userId: null, track: entry } : entry)));
+  });
+
+  // Keeps the newest `perPrompt` tracks for each prompt. Tracks without a
+  // single stroke aren't worth replaying.
+  function add(prompt, track, userId = null) {
+    if (!track.some((op) => op.type === "stroke")) return;
+    const list = [...(tracks.get(prompt) ?? []), { userId, track: packTrack(track) }].slice(-perPrompt);
+    tracks.set(prompt, list);
+    store.save();
+  }
+
+  // The tracks for `prompt` that `userId` didn't draw.
+  const othersTracks = (prompt, userId) => (tracks.get(prompt) ?? []).filter((entry) => userId == null || entry.userId !== userId);
+
+  // A random track for `prompt`, never one `userId` drew, or null.
+  function pick(prompt, userId = null) {
+    const list = othersTracks(prompt, userId);
+    return list.length ? unpackTrack(list[Math.floor(random() * list.length)].track) : null;
+  }
+
+  return { add, pick, has: (prompt, userId = null) => othersTracks(prompt, userId).length > 0 };
+}
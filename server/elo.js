@@ -0,0 +1,24 @@
+// server/elo.js
+// Standard Elo with a provisional K-factor so new players converge quickly.
+export const INITIAL_RATING = 1000;
+export const PROVISIONAL_GAMES = 20;
+
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+export function kFactor({ rating, games }) {
+  if (games < PROVISIONAL_GAMES) return 40;
+  if (rating >= 2000) return 16;
+  return 24;
+}
+
+// `score` is from a's point of view: 1 win, 0.5 draw, 0 loss.
+// Returns the rounded rating change for each player.
+export function ratingDeltas(a, b, score) {
+  const expected = expectedScore(a.rating, b.rating);
+  return [
+    Math.round(kFactor(a) * (score - expected)),
+    Math.round(kFactor(b) * (1 - score - (1 - expected))),
+  ];
+}
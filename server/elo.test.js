@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { expectedScore, kFactor, ratingDeltas } from "./elo.js";
+import { createRatingStore } from "./ratings.js";
+
+test("expected score is symmetric and favours the higher rating", () => {
+  assert.equal(expectedScore(1000, 1000), 0.5);
+  assert.ok(expectedScore(1400, 1000) > 0.9);
+  assert.ok(Math.abs(expectedScore(1200, 1000) + expectedScore(1000, 1200) - 1) < 1e-12);
+});
+
+test("new players use a larger K-factor", () => {
+  assert.ok(kFactor({ rating: 1000, games: 0 }) > kFactor({ rating: 1000, games: 50 }));
+  assert.ok(kFactor({ rating: 2100, games: 50 }) < kFactor({ rating: 1000, games: 50 }));
+});
+
+test("an upset moves ratings more than an expected win", () => {
+  const strong = { rating: 1400, games: 50 };
+  const weak = { rating: 1000, games: 50 };
+  const [expectedGain] = ratingDeltas(strong, weak, 1);
+  const [, upsetGain] = ratingDeltas(strong, weak, 0);
+  assert.ok(upsetGain > expectedGain);
+  assert.ok(expectedGain > 0);
+});
+
+test("a draw between equals changes nothing", () => {
+  const p = { rating: 1000, games: 50 };
+  assert.deepEqual(ratingDeltas(p, p, 0.5), [0, 0]);
+});
+
+test("rating store tracks games and ratings per user", () => {
+  const store = createRatingStore();
+  assert.deepEqual(store.get("a"), { rating: 1000, games: 0 });
+  const { ratings, deltas } = store.record("a", "b", 1);
+  assert.deepEqual(deltas, [20, -20]);
+  assert.deepEqual(ratings, [1020, 980]);
+  assert.deepEqual(store.get("a"), { rating: 1020, games: 1 });
+  assert.equal(store.get("b").games, 1);
+});
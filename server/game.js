@@ -0,0 +1,859 @@
+// server/game.js
+// Matchmaking and round lifecycle for the Art Fighting socket protocol.
+import { EMPTY_CANVAS, applyOp } from "../src/shared/canvas.js";
+import { encodeStroke, packStrokes, packTrack } from "../src/shared/encoding.js";
+import { createRecording, packRecording } from "../src/shared/recording.js";
+import { parsePromptPack } from "../src/shared/prompts.js";
+import { MAX_ERASE_WORK, MAX_STROKES, eraseWork } from "../src/shared/strokes.js";
+import { withAudience } from "../src/shared/verdict.js";
+import { createAccountStore } from "./accounts.js";
+import { createBot } from "./bot.js";
+import { createDrawingLibrary } from "./drawings.js";
+import { createMatchHistory } from "./history.js";
+import { createJudgeService } from "./judgeService.js";
+import { createPromptLibrary } from "./prompts.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { createRatingStore } from "./ratings.js";
+import { createTournaments } from "./tournaments.js";
+import { cleanErase, cleanProgress, readStroke } from "./validate.js";
+
+// Extra time after the round clock runs out before the server ends the round,
+// so clients whose timers lag slightly can still send their last stroke. Only
+// the server's timer ends rounds; clients just stop drawing when theirs hit zero.
+const END_GRACE_MS = 1500;
+
+// Draw times a private room host can choose from, in seconds.
+export const ROOM_DRAW_TIMES = [30, 60, 90, 120];
+// Match lengths: a single round, best of 3 or best of 5.
+export const SERIES_LENGTHS = [1, 3, 5];
+// Room codes skip look-alike characters (0/O, 1/I/L) so they can be read aloud.
+const CODE_CHARS = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+
+// What a client event costs from its socket's rate limit. Account events
+// cost more, which slows down password guessing.
+const EVENT_COSTS = { register: 10, login: 10, join: 5 };
+
+const watchChannel = (privateRoom) => `watch:${privateRoom.code}`;
+
+export function createGameServer(io, {
+  drawTime = 60,
+  reconnectGrace = 20000,
+  voteTime = 15000,
+  seriesBreak = 5000,
+  bracketBreak = 8000,
+  botWait = 30000,
+  prompts = createPromptLibrary(),
+  ratings = createRatingStore(),
+  judgeService = createJudgeService(),
+  drawings = createDrawingLibrary(),
+  history = createMatchHistory(),
+  accounts = createAccountStore(),
+  // Client events per socket: a burst of `max`, refilled over `windowMs`.
+  eventLimit = { max: 60, windowMs: 1000 },
+  // Refused events a socket may send in `windowMs` before it is disconnected.
+  strikeLimit = { max: 10, windowMs: 60000 },
+  now = Date.now,
+  // Calls `end` when a round's time, `ms` from now, is up.
+  roundTimer = (end, ms) => setTimeout(end, ms),
+} = {}) {
+  const queue = [];
+  const rooms = new Map();
+  // userId -> { room, idx } for players who dropped out of a running round.
+  const dropped = new Map();
+  // code -> private room. A private room outlives its rounds: it holds its
+  // two members (host first), its spectators, the host's options, the current
+  // round and the audience vote on the last one.
+  const privateRooms = new Map();
+  let nextRoomId = 1;
+  const events = createRateLimiter(eventLimit);
+  const strikes = createRateLimiter(strikeLimit);
+  const tournaments = createTournaments({ ratings, startMatch, newCode: newRoomCode, bracketBreak });
+
+  function opponentOf(room, socket) {
+    const idx = room.sockets.indexOf(socket);
+    return idx === -1 ? null : room.sockets[1 - idx];
+  }
+
+  function leaveQueue(socket) {
+    clearTimeout(socket.data.botTimer);
+    const idx = queue.indexOf(socket);
+    if (idx !== -1) queue.splice(idx, 1);
+  }
+
+  // Pairs queued players who asked for the same match length, oldest first.
+  function matchPlayers() {
+    for (let i = 0; i < queue.length; i++) {
+      const j = queue.findIndex((s, k) => k > i && s.data.bestOf === queue[i].data.bestOf);
+      if (j === -1) continue;
+      const b = queue.splice(j, 1)[0];
+      const a = queue.splice(i--, 1)[0];
+      [a, b].forEach((s) => clearTimeout(s.data.botTimer));
+      startMatch(a, b, { bestOf: a.data.bestOf });
+    }
+  }
+
+  // Players who opted in get the bot after `botWait` in the queue, as soon as
+  // there is a recorded drawing by someone else it can replay.
+  function scheduleBot(socket) {
+    clearTimeout(socket.data.botTimer);
+    if (socket.data.wantsBot) socket.data.botTimer = setTimeout(() => matchBot(socket), botWait);
+  }
+
+  const botPrompts = (userId) =>
+    (prompts.packs.classic ?? Object.values(prompts.packs)[0]).filter((p) => drawings.has(p.text, userId));
+
+  function matchBot(socket) {
+    if (!queue.includes(socket)) return;
+    const { userId } = socket.data;
+    if (!botPrompts(userId).length) return scheduleBot(socket);
+    leaveQueue(socket);
+    const bot = createBot({ drawings, perform: botOp, now, opponentId: userId });
+    startMatch(socket, bot, {
+      bestOf: socket.data.bestOf,
+      roundOptions: () => ({ prompt: prompts.pick(botPrompts(userId), [userId]) }),
+    });
+  }
+
+  // Replays one op of a recorded track as the bot's own.
+  function botOp(bot, { type, stroke, points, radius, start }) {
+    const room = roomOf(bot);
+    if (!room) return;
+    room.strokeStarts[room.sockets.indexOf(bot)] = start ?? null;
+    if (type === "stroke") relay(bot, { type, stroke }, "receive-stroke", encodeStroke(stroke));
+    else if (type === "erase") relay(bot, { type, points, radius }, "opponent-erase", { points, radius });
+    else relay(bot, { type }, `opponent-${type}`);
+  }
+
+  // A match is a single round or, for bestOf > 1, a series of rounds between
+  // the same two players. `roundOptions` returns the next round's prompt and
+  // duration. Tournament matches carry their { code, matchId } in the bracket.
+  function startMatch(a, b, { bestOf = 1, privateRoom = null, tournament = null, roundOptions = () => ({}) } = {}) {
+    const series = bestOf > 1
+      ? { bestOf, wins: [0, 0], results: [], over: false, winnerIndex: null, forfeitedBy: null,
+          privateRoom, roundOptions, room: null, breakTimer: null }
+      : null;
+    if (series) [a, b].forEach((s) => { s.data.series = series; });
+    if (privateRoom) privateRoom.series = series;
+    startRound(a, b, { ...roundOptions(), series, privateRoom, tournament });
+  }
+
+  const inSeries = (socket) => socket.data.series && !socket.data.series.over;
+  const forfeitFor = (socket) => forfeitSeries(socket.data.series, socket.data.series.room.sockets.indexOf(socket));
+
+  function seriesInfo(series) {
+    const { bestOf, wins, results, over, winnerIndex, forfeitedBy } = series;
+    // `round` counts the rounds played, plus the one being drawn if any.
+    const round = results.length + (series.room && !series.room.ended ? 1 : 0);
+    return { bestOf, round, wins, results, over, winnerIndex, forfeitedBy };
+  }
+
+  // Tallies a judged round by the judge's verdict (an audience vote is only
+  // advisory here, since the next round may start before it closes). The
+  // series ends once a player has a majority of the rounds or all of them
+  // have been played (more wins takes it, or a draw).
+  function scoreSeriesRound(series, room, verdict) {
+    series.results.push({ prompt: room.prompt.text, winnerIndex: verdict.winnerIndex });
+    if (verdict.winnerIndex !== null) series.wins[verdict.winnerIndex]++;
+    const needed = Math.ceil(series.bestOf / 2);
+    if (series.wins.some((w) => w >= needed) || series.results.length >= series.bestOf) {
+      const [w0, w1] = series.wins;
+      finishSeries(series, w0 === w1 ? null : w0 > w1 ? 0 : 1);
+    }
+  }
+
+  function finishSeries(series, winnerIndex) {
+    series.over = true;
+    series.winnerIndex = winnerIndex;
+    clearTimeout(series.breakTimer);
+    series.room.sockets.forEach((s) => {
+      if (s.data.series === series) s.data.series = null;
+    });
+  }
+
+  function currentRatings(room) {
+    return { ratings: room.sockets.map((s) => ratings.get(s.data.userId).rating), deltas: [0, 0] };
+  }
+
+  // Private room, tournament and bot matches are unranked.
+  const isRanked = (room) => !room.privateRoom && !room.tournament && !room.sockets.some((s) => s.data.bot);
+
+  // Elo for a finished match: one update per single round or per whole series.
+  function rateMatch(room, winnerIndex) {
+    if (!isRanked(room)) return currentRatings(room);
+    const [p0, p1] = room.sockets.map((s) => s.data.userId);
+    return ratings.record(p0, p1, winnerIndex === null ? 0.5 : winnerIndex === 0 ? 1 : 0);
+  }
+
+  function forfeitSeries(series, idx) {
+    const { room } = series;
+    if (!room.ended) {
+      room.ended = true;
+      closeRoom(room);
+    }
+    series.forfeitedBy = idx;
+    finishSeries(series, 1 - idx);
+    const { ratings: newRatings, deltas } = rateMatch(room, series.winnerIndex);
+    const result = { series: seriesInfo(series), ratings: newRatings, deltas };
+    room.sockets.forEach((s) => s.emit("series-forfeit", result));
+    emitToSpectators(room, "series-forfeit", result);
+  }
+
+  function startRound(a, b, {
+    prompt = prompts.pick(undefined, [a, b].map((s) => s.data.userId)),
+    duration = drawTime,
+    privateRoom = null,
+    series = null,
+    tournament = null,
+  } = {}) {
+    const room = {
+      id: `room-${nextRoomId++}`,
+      sockets: [a, b],
+      prompt,
+      roundStartTime: now(),
+      duration,
+      privateRoom,
+      series,
+      tournament,
+      canvases: [EMPTY_CANVAS, EMPTY_CANVAS],
+      // Every canvas op per player, stamped with its time into the round. It
+      // lets a reconnecting client rebuild both canvases (undo/redo history
+      // included) and becomes the match recording.
+      ops: [[], []],
+      strokeStarts: [null, null],
+      graceTimers: [null, null],
+      ended: false,
+      endTimer: null,
+    };
+    rooms.set(room.id, room);
+    if (privateRoom) privateRoom.round = room;
+    if (series) series.room = room;
+
+    room.sockets.forEach((s, i) => {
+      s.data.roomId = room.id;
+      s.join(room.id);
+      s.emit("round-start", roundInfo(room, i));
+    });
+    emitToSpectators(room, "round-start", { ...roundInfo(room, null), history: room.ops.map(packTrack) });
+
+    room.endTimer = roundTimer(() => endRound(room), room.duration * 1000 + END_GRACE_MS);
+  }
+
+  // Spectators get the players' events with the player's seat prepended.
+  function emitToSpectators(room, event, ...args) {
+    if (room.privateRoom) io.to(watchChannel(room.privateRoom)).emit(event, ...args);
+  }
+
+  function roundInfo(room, youAre) {
+    return {
+      prompt: room.prompt.text,
+      promptInfo: room.prompt,
+      players: room.sockets.map((s) => s.data.username),
+      bots: room.sockets.map((s) => Boolean(s.data.bot)),
+      youAre,
+      ratings: room.sockets.map((s) => ratings.get(s.data.userId).rating),
+      roundStartTime: room.roundStartTime,
+      timer: room.duration,
+      ranked: isRanked(room),
+      series: room.series && seriesInfo(room.series),
+      tournament: room.tournament?.code ?? null,
+    };
+  }
+
+  function judgeRoom(room) {
+    return judgeService.judgeRound({
+      prompt: room.prompt.text,
+      drawings: room.canvases.map((c) => c.strokes),
+      userIds: room.sockets.map((s) => s.data.userId),
+      players: room.sockets.map((s) => s.data.username),
+    });
+  }
+
+  async function endRound(room) {
+    if (room.ended) return;
+    room.ended = true;
+    clearTimeout(room.endTimer);
+    const verdict = await judgeRoom(room);
+    const winnerIdx = verdict.winnerIndex;
+    // Brackets need someone to advance: a draw goes to the higher score, then
+    // to the first seat (the better seed).
+    const advancing = winnerIdx ?? (verdict.scores[1] > verdict.scores[0] ? 1 : 0);
+    const { series } = room;
+    // Someone forfeited while the round was being judged; that settled it.
+    if (series?.forfeitedBy != null) return closeRoom(room);
+    if (series && !series.over) scoreSeriesRound(series, room, verdict);
+    // Mid-series rounds leave ratings alone; the series result is rated once.
+    const { ratings: newRatings, deltas } = series && !series.over
+      ? currentRatings(room)
+      : rateMatch(room, series ? series.winnerIndex : winnerIdx);
+    // Every human drawing is one the bot can replay later.
+    room.sockets.forEach((s, i) => {
+      if (!s.data.bot) drawings.add(room.prompt.text, room.ops[i], s.data.userId);
+    });
+    const recording = packRecording(createRecording({
+      prompt: room.prompt.text,
+      players: room.sockets.map((s) => s.data.username),
+      roundStartTime: room.roundStartTime,
+      duration: room.duration,
+      tracks: room.ops,
+    }));
+    const voting = room.privateRoom?.spectators.size > 0;
+    const result = {
+      winner: verdict.draw ? null : room.sockets[winnerIdx].data.username,
+      winnerIndex: winnerIdx,
+      verdict,
+      ratings: newRatings,
+      deltas,
+      ranked: isRanked(room),
+      tournament: room.tournament ? { code: room.tournament.code, advancingIndex: advancing } : null,
+      audienceVote: voting ? { voteTime, counts: room.privateRoom.options.audienceCounts } : null,
+      series: series && { ...seriesInfo(series), nextRoundIn: series.over ? null : seriesBreak },
+      recording,
+    };
+    io.to(room.id).emit("round-ended", result);
+    emitToSpectators(room, "round-ended", result);
+    const records = recordMatch(room, verdict, newRatings, deltas);
+    if (voting) openVote(room.privateRoom, room, verdict, records);
+    // A player still away when the clock ran out can't be seated for the next
+    // round (closing the room gives up their seat), so they forfeit the series.
+    const away = room.graceTimers.findIndex(Boolean);
+    closeRoom(room);
+    if (room.tournament) tournaments.matchEnded(room.tournament, room.sockets[advancing]);
+    if (series && !series.over && away !== -1) return forfeitSeries(series, away);
+    if (series && !series.over) {
+      series.breakTimer = setTimeout(() => {
+        if (room.privateRoom) closeVote(room.privateRoom);
+        startRound(...room.sockets, { ...series.roundOptions(), series, privateRoom: room.privateRoom });
+      }, seriesBreak);
+    }
+  }
+
+  // Files a finished round in each human player's match history; returns
+  // where each record went.
+  function recordMatch(room, verdict, newRatings, deltas) {
+    const players = room.sockets.map((s) => s.data.username);
+    const drawn = room.canvases.map((c) => packStrokes(c.strokes));
+    return room.sockets.flatMap((s, i) => {
+      if (s.data.bot) return [];
+      const { userId } = s.data;
+      const record = history.add(userId, {
+        prompt: room.prompt.text,
+        promptInfo: room.prompt,
+        players,
+        youAre: i,
+        opponent: players[1 - i],
+        bot: Boolean(room.sockets[1 - i].data.bot),
+        ranked: isRanked(room),
+        series: room.series && seriesInfo(room.series),
+        drawings: drawn,
+        verdict,
+        winnerIndex: verdict.winnerIndex,
+        rating: newRatings[i],
+        delta: deltas[i],
+      });
+      return [{ userId, id: record.id }];
+    });
+  }
+
+  // Spectators vote on a finished round for `voteTime`. Then everyone in the
+  // room gets the tally, and the blended verdict if the room counts the vote.
+  function openVote(privateRoom, room, verdict, records) {
+    privateRoom.vote = {
+      ballots: new Map(),
+      verdict,
+      records,
+      players: room.sockets.map((s) => s.data.username),
+      timer: setTimeout(() => closeVote(privateRoom), voteTime),
+    };
+  }
+
+  function closeVote(privateRoom) {
+    const { vote } = privateRoom;
+    if (!vote) return;
+    clearTimeout(vote.timer);
+    privateRoom.vote = null;
+    const votes = [0, 0];
+    for (const choice of vote.ballots.values()) votes[choice]++;
+    const counts = privateRoom.options.audienceCounts;
+    const verdict = counts ? withAudience(vote.verdict, votes, { players: vote.players }) : vote.verdict;
+    if (counts) vote.records.forEach(({ userId, id }) => history.update(userId, id, { verdict, winnerIndex: verdict.winnerIndex }));
+    const result = {
+      votes,
+      counts,
+      verdict,
+      winnerIndex: verdict.winnerIndex,
+      winner: verdict.draw ? null : vote.players[verdict.winnerIndex],
+    };
+    privateRoom.members.forEach((s) => s?.emit("audience-result", result));
+    io.to(watchChannel(privateRoom)).emit("audience-result", result);
+  }
+
+  function closeRoom(room) {
+    clearTimeout(room.endTimer);
+    rooms.delete(room.id);
+    room.graceTimers.forEach((timer, i) => {
+      if (!timer) return;
+      clearTimeout(timer);
+      dropped.delete(room.sockets[i].data.userId);
+      leavePrivateRoom(room.sockets[i]);
+    });
+    room.sockets.forEach((s) => {
+      s.leave(room.id);
+      if (s.data.roomId === room.id) s.data.roomId = null;
+    });
+  }
+
+  // Applies a canvas op to the sender's copy and mirrors it to the opponent.
+  function relay(socket, op, event, payload) {
+    const room = roomOf(socket);
+    if (!room || room.ended) return;
+    const idx = room.sockets.indexOf(socket);
+    // Strokes past the prompt's limit or MAX_STROKES never reach the canvas.
+    // Clients stop at the same limits, so this only drops what a stale or
+    // modified client sends, and quietly.
+    const limit = Math.min(room.prompt.maxStrokes || MAX_STROKES, MAX_STROKES);
+    if (op.type === "stroke" && room.canvases[idx].strokes.length >= limit) return;
+    const stamped = { ...op, t: now() - room.roundStartTime };
+    if (op.type === "stroke" && room.strokeStarts[idx] != null) stamped.start = room.strokeStarts[idx];
+    room.strokeStarts[idx] = null;
+    room.canvases[idx] = applyOp(room.canvases[idx], op);
+    room.ops[idx].push(stamped);
+    opponentOf(room, socket).emit(event, payload);
+    emitToSpectators(room, event, idx, payload);
+  }
+
+  // Logs a refused client event; a socket that keeps sending them is cut off.
+  function flag(socket, event, reason) {
+    const who = socket.data.username ? `${socket.data.username} (${socket.id})` : socket.id;
+    console.warn(`Refused ${event} from ${who}: ${reason}`);
+    if (strikes.take(socket.id)) return;
+    console.warn(`Disconnecting ${who} after repeated violations`);
+    socket.emit("kicked", { message: "You were disconnected for sending too many invalid or rapid requests." });
+    socket.disconnect();
+  }
+
+  function roomOf(socket) {
+    return socket.data.roomId ? rooms.get(socket.data.roomId) : null;
+  }
+
+  // Keeps the seat of a player who dropped mid-round open for `reconnectGrace`.
+  function holdSeat(room, socket) {
+    const idx = room.sockets.indexOf(socket);
+    dropped.set(socket.data.userId, { room, idx });
+    room.sockets[1 - idx].emit("opponent-disconnected", { graceMs: reconnectGrace });
+    room.graceTimers[idx] = setTimeout(() => {
+      room.graceTimers[idx] = null;
+      dropped.delete(socket.data.userId);
+      if (room.series && !room.series.over) forfeitSeries(room.series, idx);
+      else {
+        room.ended = true;
+        closeRoom(room);
+        room.sockets[1 - idx].emit("opponent-leave");
+        if (room.tournament) tournaments.matchEnded(room.tournament, room.sockets[1 - idx]);
+      }
+      leavePrivateRoom(socket);
+    }, reconnectGrace);
+  }
+
+  // Puts a returning player back into their seat and resends the round.
+  function resumeSeat(socket) {
+    const seat = dropped.get(socket.data.userId);
+    if (!seat || seat.room.ended) return false;
+    const { room, idx } = seat;
+    dropped.delete(socket.data.userId);
+    clearTimeout(room.graceTimers[idx]);
+    room.graceTimers[idx] = null;
+    leaveQueue(socket);
+    room.sockets[idx] = socket;
+    socket.data.roomId = room.id;
+    socket.join(room.id);
+    socket.data.series = room.series;
+    if (room.privateRoom) {
+      room.privateRoom.members[idx] = socket;
+      socket.data.roomCode = room.privateRoom.code;
+    }
+    socket.emit("round-resume", { ...roundInfo(room, idx), history: room.ops.map(packTrack) });
+    room.sockets[1 - idx].emit("opponent-reconnected");
+    return true;
+  }
+
+  function newRoomCode() {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join("");
+    } while (privateRooms.has(code) || tournaments.has(code));
+    return code;
+  }
+
+  function sendRoomUpdate(privateRoom) {
+    const update = {
+      code: privateRoom.code,
+      players: privateRoom.members.map((m) => m?.data.username ?? null),
+      spectators: privateRoom.spectators.size,
+      options: privateRoom.options,
+      packs: packNames(privateRoom),
+      drawTimes: ROOM_DRAW_TIMES,
+      seriesLengths: SERIES_LENGTHS,
+    };
+    privateRoom.members.forEach((s, i) => s?.emit("room-update", { ...update, youAre: i }));
+    io.to(watchChannel(privateRoom)).emit("room-update", { ...update, youAre: null });
+  }
+
+  // Built-in packs plus the one the host imported, if any.
+  function packNames(privateRoom) {
+    const names = prompts.packNames();
+    return privateRoom?.customPack ? [...names, privateRoom.customPack.name] : names;
+  }
+
+  function packPrompts(privateRoom) {
+    const { pack } = privateRoom.options;
+    return pack === privateRoom.customPack?.name ? privateRoom.customPack.prompts : prompts.packs[pack];
+  }
+
+  function roomOptions(options, current = { drawTime, pack: packNames()[0], bestOf: 1, audienceCounts: false }, packs = packNames()) {
+    const { drawTime: time, pack, bestOf, audienceCounts } = options || {};
+    return {
+      drawTime: ROOM_DRAW_TIMES.includes(time) ? time : current.drawTime,
+      bestOf: SERIES_LENGTHS.includes(bestOf) ? bestOf : current.bestOf,
+      pack: packs.includes(pack) ? pack : current.pack,
+      audienceCounts: typeof audienceCounts === "boolean" ? audienceCounts : current.audienceCounts,
+    };
+  }
+
+  function startPrivateRound(privateRoom) {
+    const [host, guest] = privateRoom.members;
+    if (!host || !guest || roomOf(host) || roomOf(guest) || inSeries(host)) return;
+    closeVote(privateRoom);
+    startMatch(host, guest, {
+      bestOf: privateRoom.options.bestOf,
+      privateRoom,
+      roundOptions: () => ({
+        prompt: prompts.pick(packPrompts(privateRoom), privateRoom.members.map((s) => s.data.userId)),
+        duration: privateRoom.options.drawTime,
+      }),
+    });
+  }
+
+  // The host leaving closes the room; the guest leaving frees their seat.
+  function leavePrivateRoom(socket) {
+    const privateRoom = privateRooms.get(socket.data.roomCode);
+    socket.data.roomCode = null;
+    if (!privateRoom) return;
+    const idx = privateRoom.members.indexOf(socket);
+    if (idx === -1) return;
+    if (idx === 0) {
+      privateRooms.delete(privateRoom.code);
+      clearTimeout(privateRoom.vote?.timer);
+      const guest = privateRoom.members[1];
+      if (guest) {
+        guest.data.roomCode = null;
+        guest.emit("room-closed");
+      }
+      for (const spectator of privateRoom.spectators) {
+        spectator.data.watching = null;
+        spectator.leave(watchChannel(privateRoom));
+        spectator.emit("room-closed");
+      }
+    } else {
+      privateRoom.members[1] = null;
+      sendRoomUpdate(privateRoom);
+    }
+  }
+
+  function stopWatching(socket) {
+    const privateRoom = privateRooms.get(socket.data.watching);
+    socket.data.watching = null;
+    if (!privateRoom) return;
+    privateRoom.spectators.delete(socket);
+    socket.leave(watchChannel(privateRoom));
+    sendRoomUpdate(privateRoom);
+  }
+
+  function hostedRoom(socket) {
+    const privateRoom = privateRooms.get(socket.data.roomCode);
+    return privateRoom?.members[0] === socket ? privateRoom : null;
+  }
+
+  io.on("connection", (socket) => {
+    socket.data.roomId = null;
+    socket.data.roomCode = null;
+    socket.data.watching = null;
+    socket.data.series = null;
+    socket.data.bestOf = 1;
+    socket.data.tournament = null;
+    socket.data.wantsBot = false;
+    socket.data.botTimer = null;
+
+    socket.use(([event], next) => {
+      if (events.take(socket.id, EVENT_COSTS[event] ?? 1)) next();
+      else flag(socket, event, "rate limit");
+    });
+
+    // Accounts: each of these replies with a "session" for the client to keep,
+    // or an "auth-error".
+    function startSession(makeSession) {
+      try {
+        socket.emit("session", makeSession());
+      } catch (err) {
+        socket.emit("auth-error", { message: err.message });
+      }
+    }
+    socket.on("register", (details) => startSession(() => accounts.register(details)));
+    socket.on("login", (details) => startSession(() => accounts.login(details)));
+    // The socket goes with the session, taking the player out of any queue or room.
+    socket.on("logout", (session) => {
+      accounts.logout(session?.token);
+      socket.disconnect();
+    });
+
+    // Identifies the player by their session token. Without a valid one, a
+    // `guestName` starts a guest session.
+    socket.on("join", (details) => {
+      const { token, guestName, resume } = details ?? {};
+      let account = accounts.authenticate(token);
+      if (!account && guestName === undefined) {
+        return socket.emit("auth-error", { message: "Your session has expired. Please log in again." });
+      }
+      if (!account) {
+        let session;
+        try {
+          session = accounts.guest(guestName);
+        } catch (err) {
+          return socket.emit("auth-error", { message: err.message });
+        }
+        socket.emit("session", session);
+        account = accounts.authenticate(session.token);
+      }
+      socket.data.username = account.username;
+      socket.data.userId = account.userId;
+      socket.emit("rating", ratings.get(socket.data.userId));
+      if (!resumeSeat(socket) && resume) socket.emit("resume-failed");
+    });
+
+    // Queues for a ranked match of `bestOf` rounds, with `bot: true` to accept
+    // an unranked bot match after a wait. Sent again while queued, it just
+    // changes those choices.
+    socket.on("play-again", (options) => {
+      const bestOf = options?.bestOf;
+      if (!socket.data.username || roomOf(socket) || inSeries(socket) || socket.data.roomCode || socket.data.watching) return;
+      if (tournaments.active(socket)) return;
+      socket.data.bestOf = SERIES_LENGTHS.includes(bestOf) ? bestOf : 1;
+      const wantsBot = options?.bot === true;
+      const queued = queue.includes(socket);
+      if (!queued) queue.push(socket);
+      if (!queued || wantsBot !== socket.data.wantsBot) {
+        socket.data.wantsBot = wantsBot;
+        scheduleBot(socket);
+      }
+      matchPlayers();
+    });
+
+    // The player's own match history, newest last, for the profile screen.
+    socket.on("get-history", () => {
+      if (!socket.data.username) return;
+      const { userId } = socket.data;
+      socket.emit("history", { matches: history.get(userId), rating: ratings.get(userId).rating });
+    });
+
+    socket.on("forfeit", () => {
+      if (inSeries(socket)) forfeitFor(socket);
+    });
+
+    socket.on("create-room", (options) => {
+      if (!socket.data.username || roomOf(socket) || tournaments.active(socket)) return;
+      leaveQueue(socket);
+      leavePrivateRoom(socket);
+      stopWatching(socket);
+      const privateRoom = {
+        code: newRoomCode(),
+        members: [socket, null],
+        spectators: new Set(),
+        options: roomOptions(options),
+        customPack: null,
+        round: null,
+        series: null,
+        vote: null,
+      };
+      privateRooms.set(privateRoom.code, privateRoom);
+      socket.data.roomCode = privateRoom.code;
+      sendRoomUpdate(privateRoom);
+    });
+
+    socket.on("join-room", (details) => {
+      if (!socket.data.username || roomOf(socket) || tournaments.active(socket)) return;
+      const privateRoom = privateRooms.get(String(details?.code || "").toUpperCase());
+      if (!privateRoom) return socket.emit("room-error", { message: "That room does not exist or has closed." });
+      if (privateRoom.members.includes(socket)) return sendRoomUpdate(privateRoom);
+      if (privateRoom.members[1]) return socket.emit("room-error", { message: "That room is full." });
+      leaveQueue(socket);
+      leavePrivateRoom(socket);
+      stopWatching(socket);
+      privateRoom.members[1] = socket;
+      socket.data.roomCode = privateRoom.code;
+      sendRoomUpdate(privateRoom);
+    });
+
+    // Host-only: change options, or start the next round (the first one or a rematch).
+    socket.on("room-options", (options) => {
+      const privateRoom = hostedRoom(socket);
+      if (!privateRoom) return;
+      privateRoom.options = roomOptions(options, privateRoom.options, packNames(privateRoom));
+      sendRoomUpdate(privateRoom);
+    });
+    // Host-only: play with a pack of their own, uploaded as parsed JSON.
+    socket.on("room-import-pack", (data) => {
+      const privateRoom = hostedRoom(socket);
+      if (!privateRoom) return;
+      let pack;
+      try {
+        pack = parsePromptPack(data);
+      } catch (err) {
+        return socket.emit("pack-error", { message: err.message });
+      }
+      if (prompts.hasPack(pack.name)) pack.name = `${pack.name} (imported)`;
+      privateRoom.customPack = pack;
+      privateRoom.options = { ...privateRoom.options, pack: pack.name };
+      sendRoomUpdate(privateRoom);
+    });
+    socket.on("room-start", () => {
+      const privateRoom = hostedRoom(socket);
+      if (privateRoom) startPrivateRound(privateRoom);
+    });
+
+    socket.on("leave-room", () => {
+      stopWatching(socket);
+      if (roomOf(socket)) return;
+      if (inSeries(socket)) forfeitFor(socket);
+      leavePrivateRoom(socket);
+    });
+
+    // Spectators watch a private room read-only, from whatever point its
+    // current round has reached, and vote once each round is over.
+    socket.on("spectate", (details) => {
+      if (!socket.data.username || roomOf(socket)) return;
+      const privateRoom = privateRooms.get(String(details?.code || "").toUpperCase());
+      if (!privateRoom) return socket.emit("room-error", { message: "That room does not exist or has closed." });
+      leaveQueue(socket);
+      leavePrivateRoom(socket);
+      stopWatching(socket);
+      privateRoom.spectators.add(socket);
+      socket.data.watching = privateRoom.code;
+      socket.join(watchChannel(privateRoom));
+      sendRoomUpdate(privateRoom);
+      const { round } = privateRoom;
+      if (round && !round.ended) socket.emit("round-start", { ...roundInfo(round, null), history: round.ops.map(packTrack) });
+    });
+
+    // Tournaments: the organizer creates one and shares its code; players join
+    // with it. The bracket's matches then start on their own.
+    function enterTournament() {
+      if (!socket.data.username || roomOf(socket) || inSeries(socket)) return false;
+      leaveQueue(socket);
+      leavePrivateRoom(socket);
+      stopWatching(socket);
+      return true;
+    }
+    socket.on("create-tournament", (options) => {
+      if (!enterTournament()) return;
+      tournaments.leave(socket);
+      tournaments.create(socket, options || {});
+    });
+    socket.on("join-tournament", (details) => {
+      const code = details?.code;
+      // A player resumed into a bracket match can only retake their own seat.
+      if (roomOf(socket)) tournaments.join(socket, code, { rejoinOnly: true });
+      else if (enterTournament()) tournaments.join(socket, code);
+    });
+    socket.on("tournament-options", (options) => tournaments.configure(socket, options || {}));
+    socket.on("start-tournament", () => tournaments.start(socket));
+    socket.on("leave-tournament", () => {
+      if (!roomOf(socket)) tournaments.leave(socket);
+    });
+
+    socket.on("vote", (ballot) => {
+      const player = ballot?.player;
+      const vote = privateRooms.get(socket.data.watching)?.vote;
+      if (vote && (player === 0 || player === 1)) vote.ballots.set(socket.id, player);
+    });
+
+    // In-progress strokes are only mirrored; they join the canvas on send-stroke.
+    // The server just notes when each one began, for the recording.
+    socket.on("stroke-progress", (data) => {
+      const batch = cleanProgress(data);
+      if (!batch) return flag(socket, "stroke-progress", "malformed stroke batch");
+      const room = roomOf(socket);
+      if (!room || room.ended) return;
+      const idx = room.sockets.indexOf(socket);
+      if (batch.offset === 0) room.strokeStarts[idx] = now() - room.roundStartTime;
+      opponentOf(room, socket).emit("opponent-stroke-progress", batch);
+      emitToSpectators(room, "opponent-stroke-progress", idx, batch);
+    });
+    socket.on("stroke-cancel", () => {
+      const room = roomOf(socket);
+      if (!room || room.ended) return;
+      const idx = room.sockets.indexOf(socket);
+      room.strokeStarts[idx] = null;
+      opponentOf(room, socket).emit("opponent-stroke-cancel");
+      emitToSpectators(room, "opponent-stroke-cancel", idx);
+    });
+    // Strokes and erasures go through the schema in validate.js first.
+    // Strokes travel in the binary format of shared/encoding.js.
+    socket.on("send-stroke", (data) => {
+      const stroke = readStroke(data);
+      if (!stroke) return flag(socket, "send-stroke", "malformed stroke");
+      relay(socket, { type: "stroke", stroke }, "receive-stroke", encodeStroke(stroke));
+    });
+    socket.on("erase", (data) => {
+      const erase = cleanErase(data);
+      if (!erase) return flag(socket, "erase", "malformed erase");
+      // Erasing is tested against every nearby stroke point, so the cost of a
+      // pass is checked before it runs.
+      const room = roomOf(socket);
+      const canvas = room?.canvases[room.sockets.indexOf(socket)];
+      if (canvas && eraseWork(canvas.strokes, erase.points, erase.radius) > MAX_ERASE_WORK) {
+        return flag(socket, "erase", "eraser pass too costly");
+      }
+      relay(socket, { type: "erase", ...erase }, "opponent-erase", erase);
+    });
+    socket.on("undo", () => relay(socket, { type: "undo" }, "opponent-undo"));
+    socket.on("redo", () => relay(socket, { type: "redo" }, "opponent-redo"));
+    socket.on("clear", () => relay(socket, { type: "clear" }, "opponent-clear"));
+
+    socket.on("disconnect", () => {
+      events.forget(socket.id);
+      strikes.forget(socket.id);
+      leaveQueue(socket);
+      stopWatching(socket);
+      tournaments.disconnect(socket);
+      const room = roomOf(socket);
+      if (!room || room.ended) {
+        // Gone between two rounds of a series: nothing to hold, so it's a forfeit.
+        if (inSeries(socket)) forfeitFor(socket);
+        return leavePrivateRoom(socket);
+      }
+      if (reconnectGrace > 0) return holdSeat(room, socket);
+      if (inSeries(socket)) {
+        forfeitFor(socket);
+        return leavePrivateRoom(socket);
+      }
+      const other = opponentOf(room, socket);
+      room.ended = true;
+      closeRoom(room);
+      other.emit("opponent-leave");
+      if (room.tournament) tournaments.matchEnded(room.tournament, other);
+      leavePrivateRoom(socket);
+    });
+  });
+
+  return {
+    get queueSize() {
+      return queue.length;
+    },
+    get roomCount() {
+      return rooms.size;
+    },
+    get privateRoomCount() {
+      return privateRooms.size;
+    },
+  };
+}
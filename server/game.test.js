@@ -0,0 +1,648 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { Server } from "socket.io";
+import { io as connect } from "socket.io-client";
+import { createGameServer } from "./game.js";
+import { createPromptLibrary } from "./prompts.js";
+import { createDrawingLibrary } from "./drawings.js";
+import { decodeStroke, encodeStroke, unpackStrokes, unpackTrack } from "../src/shared/encoding.js";
+import { unpackRecording } from "../src/shared/recording.js";
+
+let httpServer, io, game, url, prompts;
+const clients = [];
+const tokens = new Map();
+// Round timers the server has started; see finishRound.
+const roundEnds = [];
+
+beforeEach(async () => {
+  tokens.clear();
+  roundEnds.length = 0;
+  prompts = createPromptLibrary({
+    packs: {
+      classic: [{ text: "apple", category: "food", difficulty: "easy" }],
+      animals: [{ text: "cat", category: "animals", difficulty: "easy" }],
+    },
+  });
+  httpServer = createServer();
+  io = new Server(httpServer);
+  game = createGameServer(io, {
+    drawTime: 60, reconnectGrace: 200, voteTime: 100, seriesBreak: 50, bracketBreak: 50, botWait: 50, prompts,
+    drawings: createDrawingLibrary(), roundTimer: (end, ms) => { roundEnds.push({ end, ms }); },
+  });
+  await new Promise((resolve) => httpServer.listen(0, resolve));
+  url = `http://localhost:${httpServer.address().port}`;
+});
+
+afterEach(async () => {
+  clients.splice(0).forEach((c) => c.disconnect());
+  await new Promise((resolve) => io.close(resolve));
+});
+
+function once(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+// Players join as guests; coming back under the same name reuses the session.
+async function player(username, extra = {}) {
+  const socket = connect(url, { transports: ["websocket"] });
+  clients.push(socket);
+  await once(socket, "connect");
+  if (!tokens.has(username)) once(socket, "session").then(({ token }) => tokens.set(username, token));
+  socket.emit("join", { token: tokens.get(username), guestName: username, ...extra });
+  return socket;
+}
+
+// Strokes travel encoded, as the client sends them.
+const sendStroke = (socket, stroke) => socket.emit("send-stroke", encodeStroke(stroke));
+
+// Sends a stroke and waits for `opponent` to get it, by which time it counts.
+async function drawStroke(socket, opponent, stroke) {
+  const received = once(opponent, "receive-stroke");
+  sendStroke(socket, stroke);
+  await received;
+}
+
+// Runs out the clock of every round started so far.
+function finishRound() {
+  roundEnds.splice(0).forEach(({ end }) => end());
+}
+
+async function startMatch(queueOptions) {
+  const a = await player("alice");
+  const b = await player("bob");
+  const started = [once(a, "round-start"), once(b, "round-start")];
+  a.emit("play-again", queueOptions);
+  b.emit("play-again", queueOptions);
+  const [startA, startB] = await Promise.all(started);
+  return { a, b, startA, startB };
+}
+
+test("pairs two queued players and starts a round", async () => {
+  const { startA, startB } = await startMatch();
+  assert.equal(startA.prompt, "apple");
+  assert.deepEqual(startA.players, startB.players);
+  assert.equal(startA.players[startA.youAre], "alice");
+  assert.equal(startB.players[startB.youAre], "bob");
+  assert.equal(startA.timer, 60);
+  assert.equal(typeof startA.roundStartTime, "number");
+  assert.deepEqual(startA.ratings, [1000, 1000]);
+  assert.equal(game.roomCount, 1);
+});
+
+test("relays strokes and canvas edits to the opponent", async () => {
+  const { a, b } = await startMatch();
+  const stroke = { points: [[1, 2], [3, 4]], color: "#c0392b", size: 8, opacity: 1 };
+  const received = once(b, "receive-stroke");
+  sendStroke(a, stroke);
+  assert.deepEqual(decodeStroke(await received), stroke);
+
+  for (const [event, reply] of [["undo", "opponent-undo"], ["redo", "opponent-redo"], ["clear", "opponent-clear"]]) {
+    const relayed = once(b, reply);
+    a.emit(event);
+    await relayed;
+  }
+
+  const eraser = { points: [[2, 3]], radius: 10 };
+  const erased = once(b, "opponent-erase");
+  a.emit("erase", eraser);
+  assert.deepEqual(await erased, eraser);
+});
+
+test("mirrors in-progress strokes without adding them to the canvas", async () => {
+  const { a, b } = await startMatch();
+  const batch = { offset: 0, points: [[1, 2]], color: "#000000", size: 4, opacity: 0.8 };
+  const progress = once(b, "opponent-stroke-progress");
+  a.emit("stroke-progress", batch);
+  assert.deepEqual(await progress, batch);
+  // Raw floats are snapped to the grid finished strokes use.
+  const snapped = once(b, "opponent-stroke-progress");
+  a.emit("stroke-progress", { ...batch, points: [[10.13, 20.9, 0.123], [3.3333, 4.87, 0.5]] });
+  assert.deepEqual((await snapped).points, [[10.25, 21, 0.12], [3.25, 4.75, 0.5]]);
+
+  const cancelled = once(b, "opponent-stroke-cancel");
+  a.emit("stroke-cancel");
+  await cancelled;
+});
+
+test("strokes are checked and clamped, and only the server's clock ends a round", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { a, b } = await startMatch();
+  // The round clock plus a grace period for clients whose timers lag.
+  assert.deepEqual(roundEnds.map(({ ms }) => ms), [61500]);
+  a.emit("end-round");
+  a.emit("send-stroke", { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 });
+  sendStroke(a, { points: [[-50, 2], [3, 9999]], color: "#000000", size: 6, opacity: 1 });
+  assert.deepEqual(decodeStroke(await once(b, "receive-stroke")).points, [[0, 2], [3, 640]]);
+  // Pen strokes keep their pressure; erasers never have any.
+  sendStroke(a, { points: [[1, 2, 0.25], [3, 4, 0.75]], color: "#000000", size: 6, opacity: 1 });
+  assert.deepEqual(decodeStroke(await once(b, "receive-stroke")).points, [[1, 2, 0.25], [3, 4, 0.75]]);
+  a.emit("erase", { points: [[1, 2, 0.5]], radius: 10 });
+  const erased = once(b, "opponent-erase");
+  a.emit("erase", { points: [[1, 2]], radius: 10 });
+  await erased;
+  assert.equal(game.roomCount, 1);
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Refused send-stroke from alice/);
+  assert.match(warn.mock.calls[1].arguments[0], /Refused erase from alice/);
+});
+
+test("eraser passes are capped in length and in the work they cost", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { a, b } = await startMatch();
+  // Two long wobbly lines, then a full-length eraser pass along them.
+  const line = (y) => ({
+    points: Array.from({ length: 2000 }, (_, i) => [100 + i * 0.4, y + (i % 2)]),
+    color: "#000000", size: 6, opacity: 1,
+  });
+  let received = 0;
+  const got = new Promise((resolve) => b.on("receive-stroke", () => ++received === 2 && resolve()));
+  sendStroke(a, line(300));
+  sendStroke(a, line(302));
+  await got;
+  const along = Array.from({ length: 200 }, (_, i) => [100 + i * 4, 301]);
+  a.emit("erase", { points: [...along, [900, 301]], radius: 10 });
+  const start = Date.now();
+  a.emit("erase", { points: along, radius: 10 });
+  const erased = once(b, "opponent-erase");
+  a.emit("erase", { points: [[50, 50]], radius: 10 });
+  await erased;
+  assert.ok(Date.now() - start < 500);
+  assert.match(warn.mock.calls[0].arguments[0], /Refused erase from alice.*malformed/);
+  assert.match(warn.mock.calls[1].arguments[0], /Refused erase from alice.*too costly/);
+});
+
+test("null payloads are ignored and a client flooding events is disconnected", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { a } = await startMatch();
+  ["join", "join-room", "spectate", "vote", "join-tournament", "erase", "register", "login"].forEach((event) => a.emit(event, null));
+  const history = once(a, "history");
+  a.emit("get-history");
+  await history;
+
+  const kicked = once(a, "kicked");
+  const gone = once(a, "disconnect");
+  for (let i = 0; i < 100; i++) a.emit("undo");
+  assert.match((await kicked).message, /too many/);
+  await gone;
+});
+
+test("ends the round for both players with a winner and rating changes", async () => {
+  const { a, b } = await startMatch();
+  const stroke = { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 };
+  const received = once(b, "receive-stroke");
+  a.emit("stroke-progress", { offset: 0, points: [[1, 2]], ...stroke });
+  sendStroke(a, stroke);
+  await received;
+  const ended = [once(a, "round-ended"), once(b, "round-ended")];
+  finishRound();
+  const [endA, endB] = await Promise.all(ended);
+  assert.equal(endA.winner, "alice");
+  assert.equal(endA.verdict.judge, "local");
+  assert.equal(endA.winner, endB.winner);
+  assert.deepEqual(endA.deltas, endA.winnerIndex === 0 ? [20, -20] : [-20, 20]);
+  assert.deepEqual(endA.ratings, endB.ratings);
+
+  const recording = unpackRecording(endA.recording);
+  assert.equal(recording.prompt, "apple");
+  const track = recording.tracks[recording.players.indexOf("alice")];
+  assert.equal(track.length, 1);
+  assert.deepEqual(track[0].stroke, stroke);
+  assert.ok(track[0].start <= track[0].t);
+  assert.equal(game.roomCount, 0);
+});
+
+test("finished rounds are kept in each player's match history", async () => {
+  const { a, b, startA } = await startMatch();
+  await drawStroke(a, b, bigStroke);
+  const ended = once(b, "round-ended");
+  finishRound();
+  const result = await ended;
+
+  const reply = once(a, "history");
+  a.emit("get-history");
+  const { matches, rating } = await reply;
+  assert.equal(matches.length, 1);
+  const [match] = matches;
+  assert.equal(match.prompt, "apple");
+  assert.equal(match.opponent, "bob");
+  assert.equal(match.youAre, startA.youAre);
+  assert.deepEqual(unpackStrokes(match.drawings[startA.youAre]), [bigStroke]);
+  assert.deepEqual(match.drawings[1 - startA.youAre], []);
+  assert.deepEqual(match.verdict, result.verdict);
+  assert.equal(match.delta, 20);
+  assert.equal(match.rating, rating);
+
+  const other = once(b, "history");
+  b.emit("get-history");
+  assert.equal((await other).matches[0].delta, -20);
+});
+
+test("join needs a valid session, and a registered guest keeps their rating", async () => {
+  const stranger = connect(url, { transports: ["websocket"] });
+  clients.push(stranger);
+  await once(stranger, "connect");
+  const refused = once(stranger, "auth-error");
+  stranger.emit("join", { token: "made-up" });
+  assert.match((await refused).message, /log in again/);
+
+  const { a, b } = await startMatch();
+  await drawStroke(a, b, bigStroke);
+  const ended = once(a, "round-ended");
+  finishRound();
+  await ended;
+  const registered = once(a, "session");
+  a.emit("register", { username: "alice", password: "hunter22", token: tokens.get("alice") });
+  const session = await registered;
+  assert.equal(session.guest, false);
+
+  const rating = once(a, "rating");
+  a.emit("join", { token: session.token });
+  assert.equal((await rating).rating, 1020);
+  const taken = once(b, "auth-error");
+  b.emit("register", { username: "Alice", password: "hunter22" });
+  assert.match((await taken).message, /taken/);
+});
+
+test("an empty round is a draw and leaves ratings unchanged", async () => {
+  const { a, b } = await startMatch();
+  const ended = [once(a, "round-ended"), once(b, "round-ended")];
+  finishRound();
+  const [endA] = await Promise.all(ended);
+  assert.equal(endA.winner, null);
+  assert.equal(endA.winnerIndex, null);
+  assert.equal(endA.verdict.draw, true);
+  assert.deepEqual(endA.verdict.scores, [0, 0]);
+  assert.match(endA.verdict.reason, /Too close to call/);
+  assert.deepEqual(endA.deltas, [0, 0]);
+});
+
+test("tells the remaining player when the opponent does not come back", async () => {
+  const { a, b } = await startMatch();
+  const dropped = once(b, "opponent-disconnected");
+  const left = once(b, "opponent-leave");
+  a.disconnect();
+  assert.deepEqual(await dropped, { graceMs: 200 });
+  await left;
+  assert.equal(game.roomCount, 0);
+
+  // The client queues again, and the next player to arrive is their opponent.
+  b.emit("play-again");
+  const c = await player("carol");
+  const started = [once(b, "round-start"), once(c, "round-start")];
+  c.emit("play-again");
+  const [startB] = await Promise.all(started);
+  assert.deepEqual([...startB.players].sort(), ["bob", "carol"]);
+});
+
+test("a player who reconnects in time gets the round and both canvases back", async () => {
+  const { a, b, startA } = await startMatch();
+  const mine = { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 };
+  const theirs = { points: [[5, 6], [7, 8]], color: "#2980b9", size: 3, opacity: 1 };
+  const got = [once(b, "receive-stroke"), once(a, "receive-stroke")];
+  sendStroke(a, mine);
+  sendStroke(b, theirs);
+  await Promise.all(got);
+  const undone = once(b, "opponent-undo");
+  a.emit("undo");
+  await undone;
+
+  const dropped = once(b, "opponent-disconnected");
+  a.disconnect();
+  await dropped;
+
+  const back = once(b, "opponent-reconnected");
+  const a2 = await player("alice", { resume: true });
+  const resumed = await once(a2, "round-resume");
+  await back;
+  assert.equal(resumed.prompt, "apple");
+  assert.equal(resumed.youAre, startA.youAre);
+  assert.equal(resumed.roundStartTime, startA.roundStartTime);
+  const own = unpackTrack(resumed.history[resumed.youAre]);
+  const other = unpackTrack(resumed.history[1 - resumed.youAre]);
+  assert.deepEqual(own.map((op) => op.type), ["stroke", "undo"]);
+  assert.deepEqual(own[0].stroke, mine);
+  assert.deepEqual(other.map((op) => op.stroke), [theirs]);
+
+  const relayed = once(b, "receive-stroke");
+  sendStroke(a2, mine);
+  assert.deepEqual(decodeStroke(await relayed), mine);
+});
+
+test("a resume request after the match is gone fails cleanly", async () => {
+  const a = await player("alice", { resume: true });
+  await once(a, "resume-failed");
+});
+
+async function privateRoom(options) {
+  const host = await player("alice");
+  const created = once(host, "room-update");
+  host.emit("create-room", options);
+  const room = await created;
+  const guest = await player("bob");
+  const joined = [once(host, "room-update"), once(guest, "room-update")];
+  guest.emit("join-room", { code: room.code.toLowerCase() });
+  const [, guestView] = await Promise.all(joined);
+  return { host, guest, room, guestView };
+}
+
+test("private rooms are joined by code and started by the host", async () => {
+  const { host, guest, room, guestView } = await privateRoom({ drawTime: 90, pack: "animals" });
+  assert.match(room.code, /^[A-Z2-9]{5}$/);
+  assert.deepEqual(room.players, ["alice", null]);
+  assert.deepEqual(room.options, { drawTime: 90, pack: "animals", bestOf: 1, audienceCounts: false });
+  assert.deepEqual(guestView.players, ["alice", "bob"]);
+  assert.equal(guestView.youAre, 1);
+
+  // Only the host can change options or start.
+  guest.emit("room-options", { drawTime: 30 });
+  const updated = once(guest, "room-update");
+  host.emit("room-options", { drawTime: 120, pack: "nonsense" });
+  assert.deepEqual((await updated).options, { drawTime: 120, pack: "animals", bestOf: 1, audienceCounts: false });
+
+  const started = once(guest, "round-start");
+  guest.emit("room-start");
+  host.emit("room-start");
+  const start = await started;
+  assert.equal(start.timer, 120);
+  assert.equal(start.ranked, false);
+  assert.equal(game.queueSize, 0);
+});
+
+test("private room results leave ratings alone and allow a rematch", async () => {
+  const { host, guest } = await privateRoom();
+  let started = once(guest, "round-start");
+  host.emit("room-start");
+  await started;
+  await drawStroke(host, guest, { points: [[100, 100], [800, 500]], color: "#000000", size: 24, opacity: 1 });
+  const ended = once(guest, "round-ended");
+  finishRound();
+  const result = await ended;
+  assert.equal(result.ranked, false);
+  assert.deepEqual(result.deltas, [0, 0]);
+  assert.deepEqual(result.ratings, [1000, 1000]);
+
+  started = once(guest, "round-start");
+  host.emit("room-start");
+  await started;
+  assert.equal(game.roomCount, 1);
+});
+
+test("joining a missing or full room fails, and the host leaving closes it", async () => {
+  const { host, guest, room } = await privateRoom();
+  const carol = await player("carol");
+  let failed = once(carol, "room-error");
+  carol.emit("join-room", { code: room.code });
+  assert.match((await failed).message, /full/);
+  failed = once(carol, "room-error");
+  carol.emit("join-room", { code: "ZZZZZ" });
+  assert.match((await failed).message, /does not exist/);
+
+  const closed = once(guest, "room-closed");
+  host.emit("leave-room");
+  await closed;
+  assert.equal(game.privateRoomCount, 0);
+});
+
+test("spectators watch both players live and their vote can decide the round", async () => {
+  const { host, guest, room } = await privateRoom({ audienceCounts: true });
+  const viewer = await player("carol");
+  const watching = once(viewer, "room-update");
+  viewer.emit("spectate", { code: room.code });
+  assert.equal((await watching).youAre, null);
+
+  const started = once(viewer, "round-start");
+  host.emit("room-start");
+  const start = await started;
+  assert.equal(start.youAre, null);
+  assert.deepEqual(start.players, ["alice", "bob"]);
+
+  // alice out-draws bob, so the local judge picks her...
+  const big = { points: [[100, 100], [800, 500]], color: "#000000", size: 24, opacity: 1 };
+  const seen = new Promise((resolve) => viewer.once("receive-stroke", (...args) => resolve(args)));
+  sendStroke(host, big);
+  const [seat, seenStroke] = await seen;
+  assert.equal(seat, 0);
+  assert.deepEqual(decodeStroke(seenStroke), big);
+  const small = { points: [[1, 1], [2, 2]], color: "#000000", size: 3, opacity: 1 };
+  const seenSmall = once(viewer, "receive-stroke");
+  sendStroke(guest, small);
+  assert.equal(await seenSmall, 1);
+
+  const ended = once(viewer, "round-ended");
+  finishRound();
+  const result = await ended;
+  assert.equal(result.winner, "alice");
+  assert.deepEqual(result.audienceVote, { voteTime: 100, counts: true });
+
+  // ...but the audience backs bob and overrules her.
+  const tally = once(host, "audience-result");
+  viewer.emit("vote", { player: 1 });
+  const audience = await tally;
+  assert.deepEqual(audience.votes, [0, 1]);
+  assert.equal(audience.winner, "bob");
+  assert.equal(audience.verdict.judge, "local + audience");
+});
+
+test("rounds carry prompt details and enforce stroke limits", async () => {
+  const { host, guest } = await privateRoom();
+  const updated = once(host, "room-update");
+  host.emit("room-import-pack", { name: "Tiny", prompts: [{ text: "snake", category: "animals", maxStrokes: 1 }] });
+  const room = await updated;
+  assert.deepEqual(room.packs, ["classic", "animals", "tiny"]);
+  assert.equal(room.options.pack, "tiny");
+
+  const rejected = once(host, "pack-error");
+  host.emit("room-import-pack", { name: "empty", prompts: [] });
+  assert.match((await rejected).message, /no prompts/);
+
+  const started = once(guest, "round-start");
+  host.emit("room-start");
+  const start = await started;
+  assert.equal(start.prompt, "snake");
+  assert.deepEqual(start.promptInfo, {
+    text: "snake", category: "animals", difficulty: "medium", maxStrokes: 1, constraint: "Draw it with at most 1 stroke",
+  });
+
+  const stroke = { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 };
+  const strokes = [];
+  guest.on("receive-stroke", (s) => strokes.push(s));
+  sendStroke(host, stroke);
+  sendStroke(host, stroke);
+  const cleared = once(guest, "opponent-clear");
+  host.emit("clear");
+  await cleared;
+  assert.equal(strokes.length, 1);
+});
+
+test("a spectator who takes the guest seat stops watching", async () => {
+  const host = await player("alice");
+  const created = once(host, "room-update");
+  host.emit("create-room");
+  const { code } = await created;
+  const viewer = await player("carol");
+  let update = once(host, "room-update");
+  viewer.emit("spectate", { code });
+  assert.equal((await update).spectators, 1);
+
+  update = new Promise((resolve) => host.on("room-update", (r) => r.players[1] && resolve(r)));
+  viewer.emit("join-room", { code });
+  const room = await update;
+  assert.deepEqual(room.players, ["alice", "carol"]);
+  assert.equal(room.spectators, 0);
+});
+
+const bigStroke = { points: [[100, 100], [800, 500]], color: "#000000", size: 24, opacity: 1 };
+
+test("only pairs players who want the same match length", async () => {
+  const a = await player("alice");
+  const b = await player("bob");
+  const c = await player("carol");
+  const started = [once(a, "round-start"), once(c, "round-start")];
+  a.emit("play-again", { bestOf: 3 });
+  b.emit("play-again");
+  c.emit("play-again", { bestOf: 3 });
+  const [start] = await Promise.all(started);
+  assert.deepEqual(start.series, { bestOf: 3, round: 1, wins: [0, 0], results: [], over: false, winnerIndex: null, forfeitedBy: null });
+  assert.equal(game.queueSize, 1);
+});
+
+test("a best-of-3 series keeps the players paired and rates them once", async () => {
+  const { a, b, startA } = await startMatch({ bestOf: 3 });
+  const alice = startA.youAre;
+  for (const round of [1, 2]) {
+    await drawStroke(a, b, bigStroke);
+    const ended = once(b, "round-ended");
+    finishRound();
+    const result = await ended;
+    assert.equal(result.series.wins[alice], round);
+    if (round === 1) {
+      assert.equal(result.series.over, false);
+      assert.deepEqual(result.deltas, [0, 0]);
+      const next = await once(a, "round-start");
+      assert.equal(next.series.round, 2);
+    } else {
+      assert.equal(result.series.over, true);
+      assert.equal(result.series.winnerIndex, alice);
+      assert.equal(result.series.results.length, 2);
+      assert.equal(result.deltas[alice], 20);
+    }
+  }
+});
+
+test("either player can forfeit a series", async () => {
+  const { a, b, startB } = await startMatch({ bestOf: 5 });
+  const forfeited = once(a, "series-forfeit");
+  b.emit("forfeit");
+  const { series, deltas } = await forfeited;
+  assert.equal(series.forfeitedBy, startB.youAre);
+  assert.equal(series.winnerIndex, 1 - startB.youAre);
+  assert.equal(deltas[startB.youAre], -20);
+  assert.equal(game.roomCount, 0);
+
+  // Both are free to queue again.
+  const again = once(a, "round-start");
+  a.emit("play-again");
+  b.emit("play-again");
+  await again;
+});
+
+test("a series player still away when a round ends forfeits the series", async () => {
+  const { a, b, startA } = await startMatch({ bestOf: 3 });
+  const dropped = once(b, "opponent-disconnected");
+  a.disconnect();
+  await dropped;
+
+  const forfeited = once(b, "series-forfeit");
+  finishRound();
+  await once(b, "round-ended");
+  const { series } = await forfeited;
+  assert.equal(series.forfeitedBy, startA.youAre);
+  assert.equal(game.roomCount, 0);
+
+  // Back within the grace period, there is no round to return to.
+  const a2 = await player("alice", { resume: true });
+  await once(a2, "resume-failed");
+  const again = once(a2, "round-start");
+  a2.emit("play-again");
+  b.emit("play-again");
+  await again;
+});
+
+test("a waiting player who opts in gets an unranked bot replaying a human drawing", async () => {
+  const c = await player("carol");
+  c.emit("play-again", { bestOf: 3, bot: true });
+  // Nothing recorded yet, so there is nothing for the bot to draw.
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  assert.equal(game.queueSize, 1);
+
+  const { a, b } = await startMatch();
+  const stroke = { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 };
+  await drawStroke(a, b, stroke);
+  const ended = once(b, "round-ended");
+  finishRound();
+  await ended;
+
+  const start = await once(c, "round-start");
+  assert.deepEqual(start.players, ["carol", "Bot"]);
+  assert.deepEqual(start.bots, [false, true]);
+  assert.equal(start.ranked, false);
+  assert.equal(start.series.bestOf, 3);
+  assert.deepEqual(decodeStroke(await once(c, "receive-stroke")), stroke);
+
+  const result = once(c, "round-ended");
+  finishRound();
+  const { deltas, winnerIndex } = await result;
+  assert.equal(winnerIndex, 1);
+  assert.deepEqual(deltas, [0, 0]);
+});
+
+test("the bot never replays the waiting player's own drawing", async () => {
+  const { a, b } = await startMatch();
+  await drawStroke(a, b, { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 });
+  const ended = once(b, "round-ended");
+  finishRound();
+  await ended;
+
+  b.disconnect();
+  a.emit("play-again", { bot: true });
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  assert.equal(game.queueSize, 1);
+});
+
+test("runs a four-player single-elimination tournament to a champion", async () => {
+  const names = ["alice", "bob", "carol", "dave"];
+  const sockets = [];
+  let update = null;
+  for (const name of names) {
+    const socket = await player(name);
+    sockets.push(socket);
+    const joined = once(socket, "tournament-update");
+    if (name === "alice") socket.emit("create-tournament");
+    else socket.emit("join-tournament", { code: update.code });
+    update = await joined;
+  }
+  assert.equal(update.players.length, 4);
+  assert.equal(update.started, false);
+
+  // Empty drawings are draws, which go to the better seed: alice and bob.
+  const playRounds = async (pairs) => {
+    const starts = await Promise.all(pairs.flat().map((i) => once(sockets[i], "round-start")));
+    assert.ok(starts.every((start) => start.ranked === false));
+    const ended = Promise.all(pairs.map(([i]) => once(sockets[i], "round-ended")));
+    finishRound();
+    return ended;
+  };
+  const semis = playRounds([[0, 3], [1, 2]]);
+  sockets[0].emit("start-tournament");
+  const [semi] = await semis;
+  assert.equal(semi.tournament.advancingIndex, 0);
+
+  const final = playRounds([[0, 1]]);
+  const done = new Promise((resolve) => sockets[2].on("tournament-update", (t) => t.champion !== null && resolve(t)));
+  await final;
+  const result = await done;
+  assert.equal(result.players[result.champion].name, "alice");
+  assert.deepEqual(result.players.map((p) => p.eliminated), [false, true, true, true]);
+  assert.equal(result.matches.length, 3);
+});
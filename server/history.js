@@ -0,0 +1,41 @@
+// server/history.js
+// Every finished round, kept per userId from that player's side of the board:
+//
+// { id, playedAt, prompt, promptInfo, players, youAre, opponent, bot, ranked,
+//   series, drawings: [strokes0, strokes1], verdict, winnerIndex, rating, delta }
+//
+// `players`, `drawings` and the verdict are in seat order; `rating` is the
+// player's rating after the round and `delta` its change. Drawings are
+// packed strokes (see shared/encoding.js). Persisted through jsonStore.js.
+import { createJsonStore } from "./jsonStore.js";
+
+// The file holds every player's drawings, so it is written in the background
+// and at most this often (ms).
+export const HISTORY_SAVE_DELAY = 2000;
+
+export function createMatchHistory({ file = null, perPlayer = 100, saveDelay = HISTORY_SAVE_DELAY } = {}) {
+  const matches = new Map(); // userId -> records, oldest first
+  const store = createJsonStore(file, {
+    name: "match history", snapshot: () => Object.fromEntries(matches), delay: saveDelay,
+  });
+  Object.entries(store.load() ?? {}).forEach(([userId, records]) => matches.set(userId, records));
+  let nextId = 1 + Math.max(0, ...[...matches.values()].flat().map((r) => r.id));
+
+  // Keeps the newest `perPlayer` records; returns the stored one.
+  function add(userId, match) {
+    const record = { id: nextId++, playedAt: Date.now(), ...match };
+    matches.set(userId, [...(matches.get(userId) ?? []), record].slice(-perPlayer));
+    store.save();
+    return record;
+  }
+
+  // Patches a stored record, e.g. when an audience vote overturns the verdict.
+  function update(userId, id, changes) {
+    const record = matches.get(userId)?.find((r) => r.id === id);
+    if (!record) return;
+    Object.assign(record, changes);
+    store.save();
+  }
+
+  return { add, update, get: (userId) => matches.get(userId) ?? [], flush: store.flush };
+}
@@ -0,0 +1,55 @@
+// server/index.js
+// Standalone Socket.IO game server: `npm run server`.
+import { createServer } from "node:http";
+import { Server } from "socket.io";
+import {
+  PORT, CLIENT_ORIGIN, DRAW_TIME, RECONNECT_GRACE, VOTE_TIME, SERIES_BREAK, BRACKET_BREAK, BOT_WAIT,
+  ACCOUNTS_FILE, RATINGS_FILE, DRAWINGS_FILE, HISTORY_FILE, PROMPT_PACKS_DIR,
+  JUDGE, OPENAI_API_KEY, OPENAI_BASE_URL, JUDGE_TIMEOUT, JUDGE_RATE_LIMIT,
+} from "./config.js";
+import { createGameServer } from "./game.js";
+import { createAccountStore } from "./accounts.js";
+import { createRatingStore } from "./ratings.js";
+import { createDrawingLibrary } from "./drawings.js";
+import { createMatchHistory } from "./history.js";
+import { PROMPT_PACKS, createPromptLibrary, loadPromptPacks } from "./prompts.js";
+import { createConfiguredJudge, createJudgeService } from "./judgeService.js";
+
+const httpServer = createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end("Art Fighting server is running\n");
+});
+const io = new Server(httpServer, { cors: { origin: CLIENT_ORIGIN } });
+
+const accounts = createAccountStore(ACCOUNTS_FILE);
+const history = createMatchHistory({ file: HISTORY_FILE });
+
+createGameServer(io, {
+  drawTime: DRAW_TIME,
+  reconnectGrace: RECONNECT_GRACE * 1000,
+  voteTime: VOTE_TIME * 1000,
+  seriesBreak: SERIES_BREAK * 1000,
+  bracketBreak: BRACKET_BREAK * 1000,
+  botWait: BOT_WAIT * 1000,
+  accounts,
+  ratings: createRatingStore(RATINGS_FILE),
+  drawings: createDrawingLibrary({ file: DRAWINGS_FILE }),
+  history,
+  prompts: createPromptLibrary({
+    packs: { ...PROMPT_PACKS, ...(PROMPT_PACKS_DIR ? loadPromptPacks(PROMPT_PACKS_DIR) : {}) },
+  }),
+  judgeService: createJudgeService({
+    judge: createConfiguredJudge({ name: JUDGE, apiKey: OPENAI_API_KEY, baseURL: OPENAI_BASE_URL }),
+    timeoutMs: JUDGE_TIMEOUT * 1000,
+    rateLimit: { max: JUDGE_RATE_LIMIT, windowMs: 60 * 60 * 1000 },
+  }),
+});
+
+httpServer.listen(PORT, () => {
+  console.log(`Art Fighting server listening on :${PORT}`);
+});
+
+// Batched saves still waiting to be written go out before the server stops.
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.once(signal, () => Promise.all([accounts.flush(), history.flush()]).then(() => process.exit(0)));
+});
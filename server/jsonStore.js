@@ -0,0 +1,52 @@
+// server/jsonStore.js
+// Persistence for the server's in-memory stores (accounts, ratings, match
+// history, the bot's drawings). Each keeps its data in memory and, when given
+// a file path, mirrors it to that JSON file so it survives restarts. Without
+// a path, loading finds nothing and saving does nothing.
+import { readFileSync, writeFileSync } from "node:fs";
+import { writeFile } from "node:fs/promises";
+
+// `name` is what the file holds, for warnings. `snapshot()` returns the
+// store's data as it should be written. With a `delay` (ms), saves are
+// batched: the file is written in the background at most once per delay,
+// instead of synchronously on every change.
+export function createJsonStore(file, { name, snapshot, delay = null }) {
+  let timer = null;
+  let dirty = false;
+  let writing = Promise.resolve();
+
+  // The saved data, or null when there is none yet.
+  function load() {
+    if (!file) return null;
+    try {
+      return JSON.parse(readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`Could not read ${name} from ${file}:`, err.message);
+      return null;
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    if (delay === null) return writeFileSync(file, JSON.stringify(snapshot()));
+    dirty = true;
+    timer ??= setTimeout(flush, delay);
+  }
+
+  // Writes batched changes now. Resolves once they're on disk; writes go out
+  // one after another, so an older snapshot never lands last.
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (dirty) {
+      dirty = false;
+      const data = JSON.stringify(snapshot());
+      writing = writing
+        .then(() => writeFile(file, data))
+        .catch((err) => console.warn(`Could not save ${name} to ${file}:`, err.message));
+    }
+    return writing;
+  }
+
+  return { load, save, flush };
+}
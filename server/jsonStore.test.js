@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createDrawingLibrary } from "./drawings.js";
+import { createMatchHistory } from "./history.js";
+import { createRatingStore } from "./ratings.js";
+import { createJsonStore } from "./jsonStore.js";
+
+test("stores given a file pick up where they left off", () => {
+  const file = join(mkdtempSync(join(tmpdir(), "store-")), "ratings.json");
+  const { deltas } = createRatingStore(file).record("alice", "bob", 1);
+  const reloaded = createRatingStore(file);
+  assert.equal(reloaded.get("alice").rating - reloaded.get("bob").rating, deltas[0] - deltas[1]);
+  assert.equal(reloaded.get("alice").games, 1);
+});
+
+test("a missing file is a fresh start and an unreadable one is reported", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const dir = mkdtempSync(join(tmpdir(), "store-"));
+  assert.equal(createJsonStore(join(dir, "none.json"), { name: "things" }).load(), null);
+  assert.equal(warn.mock.callCount(), 0);
+  writeFileSync(join(dir, "broken.json"), "{");
+  assert.equal(createJsonStore(join(dir, "broken.json"), { name: "things" }).load(), null);
+  assert.match(warn.mock.calls[0].arguments[0], /Could not read things/);
+  assert.equal(createJsonStore(null, { name: "things" }).load(), null);
+});
+
+test("the bot's drawings keep their authors, and older files without them still load", () => {
+  const file = join(mkdtempSync(join(tmpdir(), "store-")), "drawings.json");
+  const track = (y) => [{ type: "stroke", stroke: { points: [[0, y], [10, y]], color: "#000000", size: 6, opacity: 1 }, t: 1000 }];
+  const drawings = createDrawingLibrary({ file });
+  drawings.add("apple", track(5), "alice");
+  assert.equal(drawings.has("apple", "alice"), false);
+  assert.equal(drawings.pick("apple", "alice"), null);
+  assert.deepEqual(createDrawingLibrary({ file }).pick("apple", "bob"), track(5));
+
+  const legacy = JSON.parse(readFileSync(file, "utf8"));
+  legacy.apple = legacy.apple.map((entry) => entry.track);
+  writeFileSync(file, JSON.stringify(legacy));
+  assert.deepEqual(createDrawingLibrary({ file }).pick("apple", "alice"), track(5));
+});
+
+test("match history is saved in the background, in batches", async () => {
+  const file = join(mkdtempSync(join(tmpdir(), "store-")), "history.json");
+  const history = createMatchHistory({ file, saveDelay: 60 * 1000 });
+  const { id } = history.add("alice", { prompt: "apple" });
+  history.add("alice", { prompt: "cat" });
+  history.update("alice", id, { winnerIndex: 1 });
+  assert.equal(existsSync(file), false);
+  await history.flush();
+  const saved = JSON.parse(readFileSync(file, "utf8"));
+  assert.deepEqual(saved.alice.map((m) => [m.prompt, m.winnerIndex]), [["apple", 1], ["cat", undefined]]);
+  assert.deepEqual(createMatchHistory({ file }).get("alice"), saved.alice);
+});
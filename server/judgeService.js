@@ -0,0 +1,61 @@
+// server/judgeService.js
+// Runs the configured judge for finished rounds. Players who judge too often
+// and judges that fail or take too long get the offline local judge instead,
+// so a round always ends with a verdict.
+import OpenAI from "openai";
+import { createJudge, createLocalJudge } from "../src/shared/judges/index.js";
+import { makeVerdict } from "../src/shared/verdict.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { strokesToPngDataUrl } from "./rasterize.js";
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function createJudgeService({
+  judge,
+  fallback = createLocalJudge(),
+  timeoutMs = 8000,
+  rateLimit = { max: 30, windowMs: 60 * 60 * 1000 },
+} = {}) {
+  const limiter = createRateLimiter(rateLimit);
+
+  // Resolves to a verdict (see shared/verdict.js). Its `judge` names the
+  // backend that produced the scores and `fallback` says why the primary
+  // judge was skipped, if it was.
+  async function judgeRound({ prompt, drawings, userIds = [], players }) {
+    const round = { prompt, drawings };
+    async function judgeOffline(reason) {
+      const { scores } = await fallback.judge(round);
+      return makeVerdict(scores, { players, judge: fallback, fallback: reason });
+    }
+
+    if (!judge || judge.name === fallback.name) return judgeOffline(null);
+    const allowed = userIds.map((id) => limiter.take(id)).every(Boolean);
+    if (!allowed) return judgeOffline("rate-limited");
+    try {
+      const { scores } = await withTimeout(judge.judge(round), timeoutMs);
+      return makeVerdict(scores, { players, judge });
+    } catch (err) {
+      console.warn(`Judge "${judge.name}" failed (${err.message}); using ${fallback.name} judge`);
+      return judgeOffline("error");
+    }
+  }
+
+  return { judgeRound };
+}
+
+// Builds the judge named in the server config. The embedding judge talks to
+// the OpenAI API (or a compatible server at `baseURL`) with the server's key.
+export function createConfiguredJudge({ name, apiKey, baseURL }) {
+  if (name !== "embedding") return createJudge(name);
+  if (!apiKey) throw new Error("JUDGE=embedding needs OPENAI_API_KEY");
+  return createJudge("embedding", {
+    openai: new OpenAI({ apiKey, baseURL: baseURL || undefined }),
+    rasterize: (strokes) => strokesToPngDataUrl(strokes),
+  });
+}
@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createConfiguredJudge, createJudgeService } from "./judgeService.js";
+import { rasterize, strokesToPngDataUrl } from "./rasterize.js";
+
+// A stand-in for the OpenAI embeddings endpoint. Text always embeds to [1, 0];
+// an image embeds closer to it the more ink (bytes of PNG) it has.
+let mock, baseURL;
+const requests = [];
+
+function embeddingFor(input) {
+  if (!input.startsWith("data:image/png;base64,")) return [1, 0];
+  return [input.length / 1000, 1];
+}
+
+before(async () => {
+  mock = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const { input, model, encoding_format: format } = JSON.parse(body);
+      requests.push({ model, input });
+      const vector = embeddingFor(input);
+      const embedding = format === "base64"
+        ? Buffer.from(new Float32Array(vector).buffer).toString("base64")
+        : vector;
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ object: "list", model, data: [{ object: "embedding", index: 0, embedding }] }));
+    });
+  });
+  await new Promise((resolve) => mock.listen(0, resolve));
+  baseURL = `http://localhost:${mock.address().port}/v1`;
+});
+
+after(() => mock.close());
+
+const line = (x0, y0, x1, y1) => ({
+  points: [[x0, y0], [(x0 + x1) / 2, (y0 + y1) / 2], [x1, y1]], color: "#000000", size: 24, opacity: 1,
+});
+const busy = [line(50, 50, 900, 600), line(900, 50, 50, 600), line(480, 20, 480, 620)];
+
+test("judges rounds with the embeddings API and caches prompt embeddings", async () => {
+  requests.length = 0;
+  const judge = createConfiguredJudge({ name: "embedding", apiKey: "test-key", baseURL });
+  const service = createJudgeService({ judge });
+  const first = await service.judgeRound({ prompt: "cat", drawings: [busy, []], userIds: ["a", "b"] });
+  assert.equal(first.judge, "embedding");
+  assert.equal(first.fallback, null);
+  assert.ok(first.scores[0] > first.scores[1]);
+
+  await service.judgeRound({ prompt: "cat", drawings: [[], busy], userIds: ["a", "b"] });
+  const textRequests = requests.filter((r) => r.model === "text-embedding-3-small");
+  assert.equal(textRequests.length, 1);
+  assert.equal(requests.length, 5);
+});
+
+test("falls back to the local judge when the primary times out", async () => {
+  const service = createJudgeService({
+    judge: { name: "slow", judge: () => new Promise(() => {}) },
+    timeoutMs: 30,
+  });
+  const verdict = await service.judgeRound({ prompt: "cat", drawings: [busy, []], userIds: ["a", "b"] });
+  assert.equal(verdict.judge, "local");
+  assert.equal(verdict.fallback, "error");
+  assert.ok(verdict.scores[0] > verdict.scores[1]);
+});
+
+test("rate-limited players are judged locally", async () => {
+  let calls = 0;
+  const service = createJudgeService({
+    judge: { name: "counting", judge: async () => ({ scores: [calls++, 0] }) },
+    rateLimit: { max: 1, windowMs: 60000 },
+  });
+  const round = { prompt: "cat", drawings: [busy, []], userIds: ["a", "b"] };
+  assert.equal((await service.judgeRound(round)).judge, "counting");
+  const limited = await service.judgeRound(round);
+  assert.equal(limited.judge, "local");
+  assert.equal(limited.fallback, "rate-limited");
+  assert.equal(calls, 1);
+});
+
+test("the embedding judge needs a server-side key", () => {
+  assert.throws(() => createConfiguredJudge({ name: "embedding" }), /OPENAI_API_KEY/);
+});
+
+test("rasterizes strokes onto a white PNG", () => {
+  const { width, height, pixels } = rasterize([line(0, 320, 960, 320)], 96);
+  const at = (x, y) => pixels[(y * width + x) * 3];
+  assert.equal(height, 64);
+  assert.equal(at(48, 32), 0);
+  assert.equal(at(48, 5), 255);
+
+  const png = Buffer.from(strokesToPngDataUrl([], 32).split(",")[1], "base64");
+  assert.deepEqual([...png.subarray(1, 4)], [0x50, 0x4e, 0x47]);
+});
@@ -0,0 +1,49 @@
+// server/prompts.js
+// Imported prompt packs and per-player recent history on top of the
+// built-in library in src/shared/prompts.js.
+import { readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { PROMPT_PACKS, parsePromptPack } from "../src/shared/prompts.js";
+
+export { PROMPTS, PROMPT_PACKS } from "../src/shared/prompts.js";
+
+// Reads every *.json pack in `dir`; a bad file stops the server with its name.
+export function loadPromptPacks(dir) {
+  const packs = {};
+  for (const file of readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    try {
+      const { name, prompts } = parsePromptPack(readFileSync(join(dir, file), "utf8"));
+      packs[name] = prompts;
+    } catch (err) {
+      throw new Error(`Prompt pack ${file}: ${err.message}`);
+    }
+  }
+  return packs;
+}
+
+// Picks prompts from a pack, skipping any that either player saw in their
+// last `recentLimit` rounds while the pack still has others to offer.
+export function createPromptLibrary({ packs = PROMPT_PACKS, recentLimit = 10, random = Math.random } = {}) {
+  const recent = new Map(); // userId -> recently seen prompt texts, oldest first
+
+  function remember(userId, text) {
+    const seen = (recent.get(userId) ?? []).filter((t) => t !== text);
+    seen.push(text);
+    recent.set(userId, seen.slice(-recentLimit));
+  }
+
+  return {
+    packs,
+    packNames: () => Object.keys(packs),
+    hasPack: (name) => Object.hasOwn(packs, name),
+    // `list` is a pack's prompts; defaults to "classic" (or the first pack).
+    pick(list = packs.classic ?? Object.values(packs)[0], userIds = []) {
+      const seen = new Set(userIds.flatMap((id) => recent.get(id) ?? []));
+      const fresh = list.filter((prompt) => !seen.has(prompt.text));
+      const pool = fresh.length ? fresh : list;
+      const prompt = pool[Math.floor(random() * pool.length)];
+      userIds.forEach((id) => remember(id, prompt.text));
+      return prompt;
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { PROMPT_PACKS, createPromptLibrary, loadPromptPacks } from "./prompts.js";
+
+test("every built-in prompt has a category and difficulty", () => {
+  for (const prompts of Object.values(PROMPT_PACKS)) {
+    assert.ok(prompts.length > 0);
+    for (const prompt of prompts) assert.ok(prompt.category && prompt.difficulty);
+  }
+});
+
+test("avoids prompts either player saw recently until the pack runs out", () => {
+  const pack = ["a", "b", "c"].map((text) => ({ text, category: "misc", difficulty: "easy" }));
+  const library = createPromptLibrary({ packs: { classic: pack }, random: () => 0 });
+  assert.equal(library.pick(pack, ["alice"]).text, "a");
+  assert.equal(library.pick(pack, ["bob"]).text, "a");
+  assert.equal(library.pick(pack, ["alice", "carol"]).text, "b");
+  assert.equal(library.pick(pack, ["alice", "bob"]).text, "c");
+  // alice has seen them all, so anything goes again.
+  assert.equal(library.pick(pack, ["alice"]).text, "a");
+});
+
+test("loads JSON packs from a directory", () => {
+  const dir = mkdtempSync(join(tmpdir(), "packs-"));
+  writeFileSync(join(dir, "space.json"), JSON.stringify({ name: "space", prompts: ["planet", "comet"] }));
+  assert.deepEqual(Object.keys(loadPromptPacks(dir)), ["space"]);
+  writeFileSync(join(dir, "broken.json"), "{");
+  assert.throws(() => loadPromptPacks(dir), /broken\.json: Not a JSON file/);
+});
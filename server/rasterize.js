@@ -0,0 +1,107 @@
+// server/rasterize.js
+// Renders strokes to a PNG data URL without a browser or native canvas, so
+// the judge can send drawings to image models. Each stroke's outline polygon
+// is scanline-filled (non-zero winding) and alpha-blended onto white, which
+// matches what the SVG canvases show closely enough for judging.
+import { deflateSync } from "node:zlib";
+import { CANVAS_WIDTH, CANVAS_HEIGHT, getOutline } from "../src/shared/strokes.js";
+
+function parseColor(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex));
+  const n = m ? parseInt(m[1], 16) : 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function fillPolygon(pixels, width, height, polygon, [r, g, b], alpha) {
+  const n = polygon.length;
+  let minY = Infinity, maxY = -Infinity;
+  polygon.forEach(([, y]) => {
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  });
+  const y0 = Math.max(0, Math.floor(minY));
+  const y1 = Math.min(height - 1, Math.ceil(maxY));
+  for (let y = y0; y <= y1; y++) {
+    const sy = y + 0.5;
+    const crossings = [];
+    for (let i = 0; i < n; i++) {
+      const [ax, ay] = polygon[i];
+      const [bx, by] = polygon[(i + 1) % n];
+      if ((ay <= sy && by > sy) || (by <= sy && ay > sy)) {
+        crossings.push([ax + ((sy - ay) / (by - ay)) * (bx - ax), by > ay ? 1 : -1]);
+      }
+    }
+    crossings.sort((p, q) => p[0] - q[0]);
+    let winding = 0;
+    for (let i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i][1];
+      if (!winding) continue;
+      const xStart = Math.max(0, Math.ceil(crossings[i][0] - 0.5));
+      const xEnd = Math.min(width - 1, Math.floor(crossings[i + 1][0] - 0.5));
+      for (let x = xStart; x <= xEnd; x++) {
+        const o = (y * width + x) * 3;
+        pixels[o] += (r - pixels[o]) * alpha;
+        pixels[o + 1] += (g - pixels[o + 1]) * alpha;
+        pixels[o + 2] += (b - pixels[o + 2]) * alpha;
+      }
+    }
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "ascii");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+export function encodePng(pixels, width, height) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    raw[row] = 0;
+    for (let i = 0; i < width * 3; i++) raw[row + 1 + i] = Math.round(pixels[y * width * 3 + i]);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Returns { width, height, pixels } with RGB floats, white background.
+export function rasterize(strokes, width = 384) {
+  const height = Math.round(width * (CANVAS_HEIGHT / CANVAS_WIDTH));
+  const scale = width / CANVAS_WIDTH;
+  const pixels = new Float32Array(width * height * 3).fill(255);
+  strokes.forEach((stroke) => {
+    const outline = getOutline(stroke).map(([x, y]) => [x * scale, y * scale]);
+    if (outline.length > 2) fillPolygon(pixels, width, height, outline, parseColor(stroke.color), stroke.opacity);
+  });
+  return { width, height, pixels };
+}
+
+export function strokesToPngDataUrl(strokes, width) {
+  const image = rasterize(strokes, width);
+  return `data:image/png;base64,${encodePng(image.pixels, image.width, image.height).toString("base64")}`;
+}
@@ -0,0 +1,22 @@
+// server/rateLimit.js
+// Token bucket per key: up to `max` actions at once, refilled evenly over
+// `windowMs`.
+export function createRateLimiter({ max, windowMs, now = Date.now }) {
+  const buckets = new Map();
+
+  function take(key, cost = 1) {
+    const t = now();
+    const bucket = buckets.get(key) || { tokens: max, at: t };
+    bucket.tokens = Math.min(max, bucket.tokens + ((t - bucket.at) / windowMs) * max);
+    bucket.at = t;
+    buckets.set(key, bucket);
+    if (bucket.tokens < cost) return false;
+    bucket.tokens -= cost;
+    return true;
+  }
+
+  return {
+    take,
+    forget: (key) => buckets.delete(key),
+  };
+}
@@ -0,0 +1,27 @@
+// server/ratings.js
+// Ratings keyed by userId, persisted through jsonStore.js.
+import { INITIAL_RATING, ratingDeltas } from "./elo.js";
+import { createJsonStore } from "./jsonStore.js";
+
+export function createRatingStore(file = null) {
+  const players = new Map();
+  const store = createJsonStore(file, { name: "ratings", snapshot: () => Object.fromEntries(players) });
+  Object.entries(store.load() ?? {}).forEach(([userId, entry]) => players.set(userId, entry));
+
+  function get(userId) {
+    return players.get(userId) || { rating: INITIAL_RATING, games: 0 };
+  }
+
+  // Applies a finished game between userIds a and b; `score` is a's result.
+  function record(a, b, score) {
+    const ra = get(a);
+    const rb = get(b);
+    const deltas = ratingDeltas(ra, rb, score);
+    players.set(a, { rating: ra.rating + deltas[0], games: ra.games + 1 });
+    players.set(b, { rating: rb.rating + deltas[1], games: rb.games + 1 });
+    store.save();
+    return { ratings: [get(a).rating, get(b).rating], deltas };
+  }
+
+  return { get, record };
+}
@@ -0,0 +1,191 @@
+// server/tournaments.js
+// Tournament lobbies and their brackets. Bracket matches are ordinary rounds:
+// the game server starts them through `startMatch` and reports each result
+// back through `matchEnded`.
+import { BYE, MAX_PLAYERS, MIN_PLAYERS, champion, createBracket, eliminated, readyMatches, recordResult } from "./bracket.js";
+
+export const TOURNAMENT_FORMATS = ["single", "double"];
+
+export function createTournaments({ ratings, startMatch, newCode, bracketBreak = 8000 }) {
+  // code -> { code, format, organizer, organizerId, entrants, bracket, live, timer }
+  // Entrants are { userId, name, socket }, in seed order once started.
+  const tournaments = new Map();
+
+  const entrantIndex = (t, userId) => t.entrants.findIndex((e) => e.userId === userId);
+
+  function view(t, socket) {
+    const idxOf = (id) => (id === null ? null : id === BYE ? -1 : entrantIndex(t, id));
+    const out = t.bracket ? eliminated(t.bracket) : new Set();
+    return {
+      code: t.code,
+      format: t.format,
+      started: !!t.bracket,
+      organizer: t.organizerName,
+      isOrganizer: socket.data.userId === t.organizerId,
+      youAre: entrantIndex(t, socket.data.userId),
+      minPlayers: MIN_PLAYERS,
+      maxPlayers: MAX_PLAYERS,
+      players: t.entrants.map((e) => ({
+        name: e.name,
+        rating: ratings.get(e.userId).rating,
+        eliminated: out.has(e.userId),
+        connected: !!e.socket?.connected,
+      })),
+      matches: (t.bracket?.matches ?? []).map((m) => ({
+        id: m.id,
+        bracket: m.bracket,
+        round: m.round,
+        players: m.players.map(idxOf),
+        winner: idxOf(m.winner),
+        live: t.live.has(m.id),
+      })),
+      champion: t.bracket ? idxOf(champion(t.bracket)) : null,
+    };
+  }
+
+  function send(t) {
+    const sockets = new Set([t.organizer, ...t.entrants.map((e) => e.socket)]);
+    for (const s of sockets) {
+      if (s?.connected && s.data.tournament === t.code) s.emit("tournament-update", view(t, s));
+    }
+  }
+
+  function close(t) {
+    clearTimeout(t.timer);
+    tournaments.delete(t.code);
+    for (const s of [t.organizer, ...t.entrants.map((e) => e.socket)]) {
+      if (s?.data.tournament !== t.code) continue;
+      s.data.tournament = null;
+      s.emit("tournament-closed");
+    }
+  }
+
+  // Starts every match whose players are known. A player who has left or is
+  // offline when their match comes up loses it by walkover.
+  function runReady(t) {
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const match of readyMatches(t.bracket)) {
+        if (t.live.has(match.id)) continue;
+        const [a, b] = match.players.map((id) => t.entrants[entrantIndex(t, id)]);
+        const present = [a, b].map((e) => e.socket?.connected && e.socket.data.tournament === t.code);
+        if (!present[0] || !present[1]) {
+          recordResult(t.bracket, match.id, present[1] && !present[0] ? b.userId : a.userId);
+          progressed = true;
+          continue;
+        }
+        t.live.add(match.id);
+        startMatch(a.socket, b.socket, { tournament: { code: t.code, matchId: match.id } });
+      }
+    }
+    send(t);
+  }
+
+  return {
+    has: (code) => tournaments.has(code),
+
+    create(socket, { format } = {}) {
+      const t = {
+        code: newCode(),
+        format: TOURNAMENT_FORMATS.includes(format) ? format : "single",
+        organizer: socket,
+        organizerId: socket.data.userId,
+        organizerName: socket.data.username,
+        entrants: [{ userId: socket.data.userId, name: socket.data.username, socket }],
+        bracket: null,
+        live: new Set(),
+        timer: null,
+      };
+      tournaments.set(t.code, t);
+      socket.data.tournament = t.code;
+      send(t);
+    },
+
+    // Joining again with the same userId (e.g. after a reconnect) takes the
+    // seat back; `rejoinOnly` allows nothing else.
+    join(socket, code, { rejoinOnly = false } = {}) {
+      const t = tournaments.get(String(code || "").toUpperCase());
+      if (!t) return socket.emit("tournament-error", { message: "That tournament does not exist or has ended." });
+      const idx = entrantIndex(t, socket.data.userId);
+      if (rejoinOnly && idx === -1 && socket.data.userId !== t.organizerId) return;
+      if (socket.data.userId === t.organizerId) t.organizer = socket;
+      if (idx !== -1) {
+        t.entrants[idx].socket = socket;
+      } else if (socket.data.userId !== t.organizerId) {
+        if (t.bracket) return socket.emit("tournament-error", { message: "That tournament has already started." });
+        if (t.entrants.length >= MAX_PLAYERS) return socket.emit("tournament-error", { message: "That tournament is full." });
+        t.entrants.push({ userId: socket.data.userId, name: socket.data.username, socket });
+      }
+      socket.data.tournament = t.code;
+      send(t);
+    },
+
+    // Organizer-only, before the start: the format and whether they play too.
+    configure(socket, { format, play } = {}) {
+      const t = tournaments.get(socket.data.tournament);
+      if (!t || t.bracket || t.organizerId !== socket.data.userId) return;
+      if (TOURNAMENT_FORMATS.includes(format)) t.format = format;
+      const idx = entrantIndex(t, socket.data.userId);
+      if (play === true && idx === -1) {
+        if (t.entrants.length < MAX_PLAYERS) t.entrants.push({ userId: socket.data.userId, name: socket.data.username, socket });
+      } else if (play === false && idx !== -1) {
+        t.entrants.splice(idx, 1);
+      }
+      send(t);
+    },
+
+    // Seeds by rating (join order breaks ties) and starts the first round.
+    start(socket) {
+      const t = tournaments.get(socket.data.tournament);
+      if (!t || t.bracket || t.organizerId !== socket.data.userId) return;
+      if (t.entrants.length < MIN_PLAYERS) {
+        return socket.emit("tournament-error", { message: `At least ${MIN_PLAYERS} players are needed to start.` });
+      }
+      t.entrants.sort((a, b) => ratings.get(b.userId).rating - ratings.get(a.userId).rating);
+      t.bracket = createBracket(t.entrants.map((e) => e.userId), { double: t.format === "double" });
+      runReady(t);
+    },
+
+    // Before the start, leaving gives up the spot (and the organizer leaving
+    // cancels the tournament). After it, the player's remaining matches are walkovers.
+    leave(socket) {
+      const t = tournaments.get(socket.data.tournament);
+      socket.data.tournament = null;
+      if (!t) return;
+      if (!t.bracket && socket.data.userId === t.organizerId) return close(t);
+      const idx = entrantIndex(t, socket.data.userId);
+      if (!t.bracket && idx !== -1) t.entrants.splice(idx, 1);
+      if (t.bracket) runReady(t);
+      else send(t);
+    },
+
+    // Offline players keep their place in a running bracket (they can join
+    // again to come back) but lose any match that comes up meanwhile.
+    disconnect(socket) {
+      const t = tournaments.get(socket.data.tournament);
+      if (!t) return;
+      if (!t.bracket) this.leave(socket);
+      else send(t);
+    },
+
+    active: (socket) => tournaments.has(socket.data.tournament),
+
+    // `match` is the { code, matchId } the round was started with.
+    matchEnded(match, winnerSocket) {
+      const t = tournaments.get(match.code);
+      if (!t) return;
+      t.live.delete(match.matchId);
+      recordResult(t.bracket, match.matchId, winnerSocket.data.userId);
+      if (champion(t.bracket) !== null) {
+        send(t);
+        tournaments.delete(t.code);
+        return;
+      }
+      send(t);
+      // Let everyone look at the bracket before the next matches begin.
+      clearTimeout(t.timer);
+      t.timer = setTimeout(() => runReady(t), bracketBreak);
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// server/validate.js
+// Checks on what clients send while drawing. Each `clean*` function returns a
+// copy safe to apply and relay, or null when the payload is malformed. Points
+// that stray past the canvas edge (a drag off the board) are clamped to it
+// rather than refused.
+import { decodeStroke, quantizePoint } from "../src/shared/encoding.js";
+import {
+  BRUSH_SIZES, CANVAS_HEIGHT, CANVAS_WIDTH, MAX_ERASER_POINTS, MAX_STROKE_POINTS,
+} from "../src/shared/strokes.js";
+
+// Bytes in an encoded stroke: its header plus at most five per coordinate
+// and one for pressure.
+const MAX_STROKE_BYTES = 16 + MAX_STROKE_POINTS * 11;
+export const MAX_ERASER_RADIUS = 60;
+const MAX_BRUSH_SIZE = Math.max(...BRUSH_SIZES);
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const clamp = (v, max) => Math.min(max, Math.max(0, v));
+
+// Points are [x, y], or with `pressure` allowed, all [x, y, pressure].
+function cleanPoints(points, max = MAX_STROKE_POINTS, pressure = false) {
+  if (!Array.isArray(points) || points.length > max) return null;
+  const length = pressure && points[0]?.length === 3 ? 3 : 2;
+  const out = [];
+  for (const p of points) {
+    if (!Array.isArray(p) || p.length !== length || !p.every(Number.isFinite)) return null;
+    const point = [clamp(p[0], CANVAS_WIDTH), clamp(p[1], CANVAS_HEIGHT)];
+    if (length === 3) point.push(clamp(p[2], 1));
+    out.push(point);
+  }
+  return out;
+}
+
+function cleanStyle(style) {
+  const { color, size, opacity } = style;
+  if (typeof color !== "string" || !COLOR_PATTERN.test(color)) return null;
+  if (!Number.isFinite(size) || size <= 0 || size > MAX_BRUSH_SIZE) return null;
+  if (!Number.isFinite(opacity) || opacity <= 0 || opacity > 1) return null;
+  return { color, size, opacity };
+}
+
+export function cleanStroke(stroke) {
+  if (!stroke || typeof stroke !== "object") return null;
+  const points = cleanPoints(stroke.points, MAX_STROKE_POINTS, true);
+  const style = cleanStyle(stroke);
+  return points?.length && style ? { points, ...style } : null;
+}
+
+// A stroke as `send-stroke` carries it, encoded.
+export function readStroke(data) {
+  if (!(data instanceof Uint8Array) || data.length > MAX_STROKE_BYTES) return null;
+  try {
+    return cleanStroke(decodeStroke(data));
+  } catch {
+    return null;
+  }
+}
+
+// A live batch must also keep its whole stroke under MAX_STROKE_POINTS. Its
+// points are snapped to the grid encoded strokes use, whatever the sender did.
+export function cleanProgress(batch) {
+  if (!batch || typeof batch !== "object") return null;
+  const { offset } = batch;
+  if (!Number.isInteger(offset) || offset < 0 || offset >= MAX_STROKE_POINTS) return null;
+  const points = cleanPoints(batch.points, MAX_STROKE_POINTS - offset, true);
+  const style = cleanStyle(batch);
+  return points && style ? { offset, points: points.map(quantizePoint), ...style } : null;
+}
+
+export function cleanErase(erase) {
+  if (!erase || typeof erase !== "object") return null;
+  const points = cleanPoints(erase.points, MAX_ERASER_POINTS);
+  const { radius } = erase;
+  if (!points?.length || !Number.isFinite(radius) || radius <= 0 || radius > MAX_ERASER_RADIUS) return null;
+  return { points, radius };
+}
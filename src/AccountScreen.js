@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { ACCENT, BG, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, LOSE } from "./theme";
+
+const inputStyle = {
+  fontSize: 17, padding: 9, marginBottom: 12, width: "100%", borderRadius: 8, boxSizing: "border-box",
+  border: `1px solid ${ACCENT}`, outline: "none", fontFamily: "Inter,sans-serif"
+};
+const buttonStyle = {
+  fontSize: 16, padding: "8px 22px", borderRadius: 8,
+  background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+const tabStyle = (active) => ({
+  flex: 1, fontSize: 14, padding: "6px 0", background: active ? BTN : "#fff", color: active ? TEXT1 : TEXT2,
+  border: `1px solid ${CANVAS_BORDER}`, fontWeight: active ? 500 : 400, cursor: "pointer"
+});
+
+const TABS = { login: "Log in", signup: "Sign up", guest: "Guest" };
+
+// Log in, create an account or play as a guest. `guestName` is set when a
+// guest is upgrading to an account, which keeps their rating and history.
+// `busy` is true while the server is answering; `error` is its last refusal.
+export default function AccountScreen({ initialTab = "login", guestName, busy, error, onLogin, onRegister, onGuest, onCancel }) {
+  const [tab, setTab] = useState(initialTab);
+  const [name, setName] = useState(guestName ?? "");
+  const [password, setPassword] = useState("");
+  const tabs = guestName ? ["signup"] : Object.keys(TABS);
+
+  function submit(e) {
+    e.preventDefault();
+    if (name.trim().length < 2) return;
+    if (tab === "login") onLogin({ username: name, password });
+    else if (tab === "signup") onRegister({ username: name, password });
+    else onGuest(name.trim());
+  }
+
+  return (
+    <div style={{
+      minHeight: "100vh", background: BG, display: "flex",
+      alignItems: "center", justifyContent: "center"
+    }}>
+      <form onSubmit={submit} style={{
+        padding: 34, width: 312,
+        borderRadius: 14, background: "#fff",
+        boxShadow: "0 1px 8px #dde1ee22", fontFamily: "Inter,sans-serif"
+      }}>
+        <h1 style={{
+          fontWeight: 500, fontSize: 27, color: TEXT1,
+          letterSpacing: 0.7, marginBottom: 14
+        }}>Art Fighting</h1>
+        {guestName ? (
+          <div style={{ fontSize: 14, color: TEXT2, marginBottom: 12 }}>
+            Create an account to keep your rating and match history.
+          </div>
+        ) : (
+          <div style={{ display: "flex", marginBottom: 14 }}>
+            {tabs.map((t) => (
+              <button key={t} type="button" style={tabStyle(t === tab)} onClick={() => setTab(t)}>{TABS[t]}</button>
+            ))}
+          </div>
+        )}
+        <input
+          placeholder={tab === "guest" ? "Pick a name…" : "Username"}
+          aria-label="Username"
+          value={name}
+          maxLength={20}
+          onChange={(e) => setName(e.target.value)}
+          style={inputStyle}
+        />
+        {tab !== "guest" &&
+          <input
+            type="password"
+            placeholder="Password"
+            aria-label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={inputStyle}
+          />
+        }
+        {tab === "guest" &&
+          <div style={{ fontSize: 13, color: TEXT2, marginBottom: 12 }}>
+            Guests can play right away and sign up later without losing their rating.
+          </div>
+        }
+        {error && <div style={{ fontSize: 14, color: LOSE, marginBottom: 12 }}>{error}</div>}
+        <button type="submit" style={buttonStyle} disabled={busy}>
+          {tab === "login" ? "Log in" : tab === "signup" ? "Create account" : "Play as guest"}
+        </button>
+        {onCancel &&
+          <button type="button" style={{ ...buttonStyle, background: "#fff", marginLeft: 8 }} onClick={onCancel}>
+            Back
+          </button>
+        }
+      </form>
+    </div>
+  );
+}
@@ -1,21 +1,53 @@
-import React, { useRef, useState, useEffect } from "react";
-import getStroke from "perfect-freehand";
+import React, { useCallback, useRef, useState, useEffect, useReducer } from "react";
 import { io } from "socket.io-client";
+import { SERVER_URL } from "./config";
+import AccountScreen from "./AccountScreen";
+import DrawingCanvas from "./DrawingCanvas";
+import ModePicker from "./ModePicker";
+import OfflineGame from "./OfflineGame";
+import PrivateRoom from "./PrivateRoom";
+import ProfileView from "./ProfileView";
+import TournamentView from "./TournamentView";
+import PromptDetails, { PromptConstraint } from "./PromptDetails";
+import ReplayViewer from "./ReplayViewer";
+import SeriesSummary, { SeriesScore } from "./SeriesSummary";
+import ResultsDownloads from "./ResultsDownloads";
+import SpectatorView from "./SpectatorView";
+import AudienceVote from "./AudienceVote";
+import VerdictBreakdown from "./VerdictBreakdown";
+import { EMPTY_CANVAS, applyOp, replayOps } from "./shared/canvas";
+import { decodeStroke, encodeStroke, unpackStrokes, unpackTrack } from "./shared/encoding";
+import { unpackRecording } from "./shared/recording";
+import { CANVAS_ASPECT } from "./shared/strokes";
+import { appendLiveStroke, createLiveStrokeSender } from "./liveStroke";
+import { BG, ACCENT, CANVAS_BORDER, BTN, BTN_TEXT, TEXT1, TEXT2, WIN, LOSE } from "./theme";
 
-// === Minimalist palette ===
-const BG = "#f3f4f6";
-const ACCENT = "#bfc8db";
-const CANVAS_BG = "#f9fafb";
-const CANVAS_BORDER = "#cbd3e1";
-const BTN = "#eceef2";
-const BTN_TEXT = "#46546c";
-const TEXT1 = "#374151";
-const TEXT2 = "#7b8799";
-const WIN = "#529b6b";
-const LOSE = "#c37d7d";
-
-const MMR_DELTA = 25, DRAW_TIME = 60;
-const socket = io("https://arts-fighting-server.onrender.com");
+const DRAW_TIME = 60;
+const MATCH_LENGTHS = [[1, "Single round"], [3, "Best of 3"], [5, "Best of 5"]];
+// Only online play connects; hot-seat and practice never touch the socket.
+const socket = io(SERVER_URL, { autoConnect: false });
+
+const liveSender = createLiveStrokeSender((event, data) => socket.emit(event, data));
+
+// Outgoing socket event for each local canvas op.
+function emitOp(op) {
+  switch (op.type) {
+    case "stroke":
+      liveSender.commit();
+      return socket.emit("send-stroke", encodeStroke(op.stroke));
+    case "erase": return socket.emit("erase", { points: op.points, radius: op.radius });
+    default: return socket.emit(op.type);
+  }
+}
+
+// Invite links carry the private room code as ?room=CODE, spectator links
+// as ?watch=CODE and tournament links as ?tournament=CODE.
+function urlParam(name) {
+  return new URLSearchParams(window.location.search).get(name);
+}
+function setRoomCodeInUrl(code, param = "room") {
+  window.history.replaceState(null, "", code ? `?${param}=${code}` : window.location.pathname);
+}
 
 // Font: Inter minimalist
 const FONT_URL = "https://fonts.googleapis.com/css2?family=Inter:wght@400;500&display=swap";
@@ -39,14 +71,6 @@ function useWindowSize() {
   return size;
 }
 
-function getSvgPath(stroke) {
-  if (!stroke.length) return "";
-  const pts = getStroke(stroke, { size: 4, thinning: 0.6, smoothing: 0.8 });
-  return pts.length
-    ? "M " + pts.map(([x, y], i) => (i === 0 ? `${x} ${y}` : `L ${x} ${y}`)).join(" ")
-    : "";
-}
-
 function MMRDelta({ delta }) {
   if (!delta) return null;
   return (
@@ -68,223 +92,360 @@ function MMRDelta({ delta }) {
   );
 }
 
-function DrawingCanvas({ enabled, strokes, setStrokes, onSendStroke, onUndo, width, height }) {
-  const [currStroke, setCurrStroke] = useState([]);
-  const svgRef = useRef();
-
-  function pointerPos(e) {
-    const svg = svgRef.current;
-    const rect = svg.getBoundingClientRect();
-    const touch = e.touches?.[0];
-    const clientX = touch ? touch.clientX : e.clientX;
-    const clientY = touch ? touch.clientY : e.clientY;
-    return [
-      ((clientX - rect.left) / rect.width) * width,
-      ((clientY - rect.top) / rect.height) * height,
-    ];
-  }
-
-  function onPointerDown(e) {
-    if (!enabled) return;
-    setCurrStroke([pointerPos(e)]);
-  }
-  function onPointerMove(e) {
-    if (!enabled || !currStroke.length) return;
-    setCurrStroke((pts) => [...pts, pointerPos(e)]);
-  }
-  function onPointerUp() {
-    if (!enabled || currStroke.length < 2) return;
-    setStrokes((old) => [...old, currStroke]);
-    onSendStroke(currStroke);
-    setCurrStroke([]);
-  }
-  function handleUndo() {
-    if (!enabled) return;
-    if (typeof onUndo === "function") onUndo();
-  }
-
-  return (
-    <div style={{
-      width: width + 6, height: height + 44,
-      background: CANVAS_BG,
-      borderRadius: 15,
-      boxShadow: "0 1px 6px #dde1ee12",
-      display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "flex-start",
-      padding: 8, position: "relative",
-      border: `1.2px solid ${CANVAS_BORDER}`,
-      margin: "0 auto"
-    }}>
-      <svg
-        ref={svgRef}
-        width={width}
-        height={height}
-        style={{
-          border: "none",
-          borderRadius: 11,
-          background: "#fff",
-          touchAction: "none",
-          marginBottom: 5,
-          cursor: enabled ? "crosshair" : "not-allowed",
-        }}
-        onPointerDown={onPointerDown}
-        onPointerMove={onPointerMove}
-        onPointerUp={onPointerUp}
-        onPointerLeave={onPointerUp}
-        onTouchStart={onPointerDown}
-        onTouchMove={onPointerMove}
-        onTouchEnd={onPointerUp}
-      >
-        {strokes.map((stroke, i) =>
-          <path
-            key={i}
-            d={getSvgPath(stroke)}
-            fill="black"
-            stroke="black"
-            strokeLinejoin="round"
-            strokeLinecap="round"
-            opacity={0.8}
-          />
-        )}
-        {currStroke.length > 1 &&
-          <path
-            d={getSvgPath(currStroke)}
-            fill="black"
-            stroke="black"
-            strokeLinejoin="round"
-            strokeLinecap="round"
-            opacity={0.34}
-          />
-        }
-      </svg>
-      <button
-        onClick={handleUndo}
-        style={{
-          marginTop: 1,
-          background: BTN,
-          color: BTN_TEXT,
-          border: `1px solid ${CANVAS_BORDER}`,
-          borderRadius: 8,
-          fontWeight: 500,
-          fontSize: 16,
-          padding: "5px 19px",
-          cursor: enabled ? "pointer" : "not-allowed",
-        }}>
-        Undo
-      </button>
-    </div>
-  );
-}
-
 export default function App() {
   injectFont();
   const [w, h] = useWindowSize();
 
   // Wider and bigger canvas but always fits screen
-  // E.g., max 640x420, but shrinks if screen smaller
-  const SIDE_W = Math.min(640, Math.max(350, (w * 0.43)));
-  const SIDE_H = Math.min(420, Math.max(220, (h * 0.58)));
-
-  const [username, setUsername] = useState(localStorage.getItem("username") || "");
-  const [inputName, setInputName] = useState("");
-  const [mmr, setMMR] = useState(Number(localStorage.getItem("mmr")) || 1000);
-  const [userId] = useState(() => {
-    let id = localStorage.getItem("userId");
-    if (!id) {
-      id = crypto.randomUUID();
-      localStorage.setItem("userId", id);
-    }
-    return id;
-  });
+  // E.g., max 630x420, but shrinks if screen smaller. The aspect ratio is
+  // fixed so every player sees the same logical canvas.
+  const maxW = Math.min(640, Math.max(350, (w * 0.43)));
+  const maxH = Math.min(420, Math.max(220, (h * 0.58)));
+  const SIDE_W = Math.min(maxW, maxH * CANVAS_ASPECT);
+  const SIDE_H = SIDE_W / CANVAS_ASPECT;
+
+  // Who we are: the server's session ({ token, userId, username, guest }),
+  // or just { username, guest: true } for a guest who hasn't been online yet.
+  const [account, setAccount] = useState(() => JSON.parse(localStorage.getItem("account") || "null"));
+  const accountRef = useRef(account);
+  accountRef.current = account;
+  const username = account?.username ?? "";
+  const token = account?.token;
+  // The account screen while it's open over a signed-in player: { tab, upgrade, switching }.
+  const [accountScreen, setAccountScreen] = useState(null);
+  const accountScreenRef = useRef(null);
+  accountScreenRef.current = accountScreen;
+  const [authError, setAuthError] = useState(null);
+  const [authBusy, setAuthBusy] = useState(false);
+  // Why the server last sent us back to the mode picker.
+  const [kickNotice, setKickNotice] = useState(null);
+  const authBusyRef = useRef(false);
+  authBusyRef.current = authBusy;
+  // Ratings are owned by the server; these only mirror what it last sent.
+  const [mmr, setMMR] = useState(null);
+  const [opponentMMR, setOpponentMMR] = useState(null);
+
+  // "online", "hotseat" or "practice"; null until picked after login. Invite,
+  // spectator and tournament links go straight online.
+  const [mode, setMode] = useState(() =>
+    urlParam("room") || urlParam("watch") || urlParam("tournament") ? "online" : null
+  );
+  const modeRef = useRef(mode);
+  modeRef.current = mode;
 
   const [prompt, setPrompt] = useState("");
+  // Category, difficulty and any constraint of the current prompt.
+  const [promptInfo, setPromptInfo] = useState(null);
   const [timer, setTimer] = useState(DRAW_TIME);
 
   // Timer logic for server-authoritative sync
   const [roundStartTime, setRoundStartTime] = useState(null);
   const [serverDuration, setServerDuration] = useState(DRAW_TIME);
 
-  const [myStrokes, setMyStrokes] = useState([]);
-  const [opponentStrokes, setOpponentStrokes] = useState([]);
+  const [myCanvas, dispatchMine] = useReducer(applyOp, EMPTY_CANVAS);
+  const [opponentCanvas, dispatchOpponent] = useReducer(applyOp, EMPTY_CANVAS);
+  const [opponentLive, setOpponentLive] = useState(null);
+  const myStrokes = myCanvas.strokes;
+  const opponentStrokes = opponentCanvas.strokes;
   const [phase, setPhase] = useState("queue");
+  const phaseRef = useRef(phase);
+  phaseRef.current = phase;
+  const [opponentConnected, setOpponentConnected] = useState(true);
   const [winner, setWinner] = useState(null);
+  const [winnerIndex, setWinnerIndex] = useState(null);
+  const [verdict, setVerdict] = useState(null);
   const [players, setPlayers] = useState(["You", "Opponent"]);
   const [youAre, setYouAre] = useState(0);
+  const youAreRef = useRef(0);
   const [roundActive, setRoundActive] = useState(false);
   const [mmrDelta, setMmrDelta] = useState(0);
+  const [opponentDelta, setOpponentDelta] = useState(null);
+  const [recording, setRecording] = useState(null);
+  const [showReplay, setShowReplay] = useState(false);
+  const [ranked, setRanked] = useState(true);
+  // The private room we are in (the server's room-update payload), if any.
+  const [privateRoom, setPrivateRoom] = useState(null);
+  const privateRoomRef = useRef(null);
+  privateRoomRef.current = privateRoom;
+  const [roomNotice, setRoomNotice] = useState(null);
+  const [packError, setPackError] = useState(null);
+  const [watchCode, setWatchCode] = useState(() => urlParam("watch"));
+  // The spectators' vote on the last round: { counts, votes }, votes null while open.
+  const [audience, setAudience] = useState(null);
+  // Rounds per ranked match we queue for, and the series being played, if any.
+  const [bestOf, setBestOf] = useState(() => Number(localStorage.getItem("bestOf")) || 1);
+  // Whether to take an (unranked) bot match when nobody else is queueing.
+  const [playBots, setPlayBots] = useState(() => localStorage.getItem("playBots") === "true");
+  const queueRef = useRef();
+  queueRef.current = { bestOf, bot: playBots };
+  const [opponentIsBot, setOpponentIsBot] = useState(false);
+  // Our match history from the server, and whether the results view is
+  // showing a past match from it.
+  const [profile, setProfile] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [series, setSeries] = useState(null);
+  // The tournament we're in (the server's tournament-update payload), if any.
+  const [tournament, setTournament] = useState(null);
+  const tournamentRef = useRef(null);
+  tournamentRef.current = tournament;
+  const [tournamentError, setTournamentError] = useState(null);
 
   // Keep a persistent mapping of player index to username
   const [playerNames, setPlayerNames] = useState(["You", "Opponent"]);
 
-  // Join and queue after login
+  // Session replies to logging in, signing up, and a guest's first join.
   useEffect(() => {
-    if (!username) return;
-    if (!socket.connected) socket.connect();
-    socket.emit("join", { username, userId });
-    socket.emit("play-again");
-  }, [username, userId]);
+    socket.on("session", (session) => {
+      const previous = accountRef.current?.token;
+      // Switching accounts ends the session we had.
+      if (accountScreenRef.current?.switching && previous) socket.emit("logout", { token: previous });
+      setAccount(session);
+      localStorage.setItem("account", JSON.stringify(session));
+      setAccountScreen(null);
+      setAuthBusy(false);
+      setAuthError(null);
+      if (modeRef.current !== "online") socket.disconnect();
+    });
+    // Outside the account screen, this is the server turning down our session.
+    socket.on("auth-error", ({ message }) => {
+      setAuthBusy(false);
+      setAuthError(message);
+      if (accountScreenRef.current) return;
+      socket.disconnect();
+      localStorage.removeItem("account");
+      setAccount(null);
+      setMode(null);
+    });
+    socket.on("kicked", ({ message }) => {
+      setKickNotice(message);
+      setMode(null);
+    });
+    socket.on("connect_error", () => {
+      if (!authBusyRef.current) return;
+      setAuthBusy(false);
+      setAuthError("Can't reach the game server. Try again, or play as a guest.");
+      socket.disconnect();
+    });
+    return () => {
+      socket.off("session");
+      socket.off("auth-error");
+      socket.off("kicked");
+      socket.off("connect_error");
+    };
+  }, []);
+
+  // Join and queue after login, and rejoin on every reconnect. A player who
+  // drops mid-round asks the server to put them back into their match.
+  useEffect(() => {
+    if (!username || mode !== "online") return;
+    function join() {
+      // Guests send their name too, so an expired guest session starts a new one.
+      const { token, guest } = accountRef.current;
+      socket.emit("join", { token, guestName: guest ? username : undefined, resume: phaseRef.current === "draw" });
+      if (watchCode) return socket.emit("spectate", { code: watchCode });
+      const tournamentCode = tournamentRef.current?.code ?? urlParam("tournament");
+      if (tournamentCode) return socket.emit("join-tournament", { code: tournamentCode });
+      const code = privateRoomRef.current?.code ?? urlParam("room");
+      if (code && phaseRef.current !== "draw") socket.emit("join-room", { code });
+      else if (phaseRef.current === "queue") socket.emit("play-again", queueRef.current);
+    }
+    socket.on("connect", join);
+    if (socket.connected) join();
+    else socket.connect();
+    return () => socket.off("connect", join);
+  }, [username, watchCode, mode]);
 
   // Socket events
   useEffect(() => {
-    if (!username) return;
-    socket.on("round-start", (data) => {
+    if (!username || mode !== "online" || watchCode) return;
+    socket.on("rating", ({ rating }) => setMMR(rating));
+
+    function startRound(data, history = [[], []]) {
       setPrompt(data.prompt);
+      setPromptInfo(data.promptInfo);
+      setSeries(data.series);
       setPlayers(data.players);
       setPlayerNames(data.players); // always use server's player order
       setYouAre(data.youAre);
+      youAreRef.current = data.youAre;
+      setOpponentIsBot(Boolean(data.bots?.[1 - data.youAre]));
+      setMMR(data.ratings[data.youAre]);
+      setOpponentMMR(data.ratings[1 - data.youAre]);
       setWinner(null);
-      setMyStrokes([]);
-      setOpponentStrokes([]);
+      setWinnerIndex(null);
+      dispatchMine({ type: "reset", canvas: replayOps(history[data.youAre]) });
+      dispatchOpponent({ type: "reset", canvas: replayOps(history[1 - data.youAre]) });
+      setOpponentLive(null);
+      setOpponentConnected(true);
       setRoundStartTime(data.roundStartTime);
       setServerDuration(data.timer);
+      setRanked(data.ranked);
       setPhase("draw");
       setRoundActive(true);
       setMmrDelta(0);
-    });
+      setOpponentDelta(null);
+      setVerdict(null);
+      setRecording(null);
+      setShowReplay(false);
+      setAudience(null);
+      setReviewing(false);
+    }
+
+    socket.on("round-start", (data) => startRound(data));
+    socket.on("round-resume", (data) => startRound(data, data.history.map(unpackTrack)));
 
-    socket.on("round-ended", ({ winner }) => {
+    socket.on("round-ended", ({ winner, winnerIndex, verdict, ratings, deltas, audienceVote, series, recording }) => {
       setWinner(winner);
+      setSeries(series);
+      setAudience(audienceVote && { counts: audienceVote.counts, votes: null });
+      setVerdict(verdict);
+      setRecording(unpackRecording(recording));
+      setWinnerIndex(winnerIndex);
       setPhase("result");
       setRoundActive(false);
-      setMMR((mmr) => {
-        const delta = winner === username ? MMR_DELTA : -MMR_DELTA;
-        setMmrDelta(delta);
-        const newMMR = mmr + delta;
-        localStorage.setItem("mmr", newMMR);
-        return newMMR;
-      });
+      const me = youAreRef.current;
+      setMMR(ratings[me]);
+      setOpponentMMR(ratings[1 - me]);
+      setMmrDelta(deltas[me]);
+      setOpponentDelta(deltas[1 - me]);
     });
 
-    socket.on("receive-stroke", (stroke) => {
-      setOpponentStrokes((old) => [...old, stroke]);
+    socket.on("series-forfeit", ({ series, ratings, deltas }) => {
+      setSeries(series);
+      setPhase("result");
+      setRoundActive(false);
+      const me = youAreRef.current;
+      setMMR(ratings[me]);
+      setOpponentMMR(ratings[1 - me]);
+      setMmrDelta(deltas[me]);
+      setOpponentDelta(deltas[1 - me]);
     });
 
-    socket.on("undo-confirm", () => {
-      setMyStrokes((old) => old.slice(0, -1));
+    socket.on("audience-result", ({ votes, counts, verdict, winner, winnerIndex }) => {
+      setAudience({ votes, counts });
+      if (!counts) return;
+      setVerdict(verdict);
+      setWinner(winner);
+      setWinnerIndex(winnerIndex);
     });
-    socket.on("opponent-undo", () => {
-      setOpponentStrokes((old) => old.slice(0, -1));
+
+    socket.on("receive-stroke", (data) => {
+      setOpponentLive(null);
+      dispatchOpponent({ type: "stroke", stroke: decodeStroke(data) });
     });
 
-    socket.on("opponent-clear", () => setOpponentStrokes([]));
-    socket.on("opponent-leave", () => {
+    socket.on("opponent-stroke-progress", (batch) => {
+      setOpponentLive((live) => appendLiveStroke(live, batch));
+    });
+    socket.on("opponent-stroke-cancel", () => setOpponentLive(null));
+    socket.on("opponent-erase", ({ points, radius }) => {
+      dispatchOpponent({ type: "erase", points, radius });
+    });
+    socket.on("opponent-undo", () => dispatchOpponent({ type: "undo" }));
+    socket.on("opponent-redo", () => dispatchOpponent({ type: "redo" }));
+    socket.on("opponent-clear", () => dispatchOpponent({ type: "clear" }));
+    socket.on("opponent-disconnected", () => {
+      setOpponentConnected(false);
+      setOpponentLive(null);
+    });
+    socket.on("opponent-reconnected", () => setOpponentConnected(true));
+
+    function backToQueue() {
       setPlayers(["You", "Opponent"]);
       setPlayerNames(["You", "Opponent"]);
-      setOpponentStrokes([]);
-      setPhase("queue");
+      setOpponentMMR(null);
+      dispatchOpponent({ type: "reset" });
+      setOpponentLive(null);
+      setPhase(privateRoomRef.current ? "lobby" : tournamentRef.current ? "tournament" : "queue");
       setRoundActive(false);
       setMmrDelta(0);
+    }
+    // Back in public matchmaking, look for the next opponent.
+    socket.on("opponent-leave", () => {
+      backToQueue();
+      if (!privateRoomRef.current && !tournamentRef.current) socket.emit("play-again", queueRef.current);
+    });
+
+    socket.on("room-update", (room) => {
+      setPrivateRoom(room);
+      setRoomNotice(null);
+      setPackError(null);
+      setRoomCodeInUrl(room.code);
+      if (phaseRef.current === "queue") setPhase("lobby");
+    });
+    // The room is gone (or never existed): fall back to public matchmaking.
+    function leftRoom(notice) {
+      setPrivateRoom(null);
+      setRoomNotice(notice);
+      setRoomCodeInUrl(null);
+      if (phaseRef.current === "lobby" || phaseRef.current === "queue") {
+        setPhase("queue");
+        socket.emit("play-again", queueRef.current);
+      }
+    }
+    socket.on("room-error", ({ message }) => leftRoom(message));
+    socket.on("room-closed", () => leftRoom("The host closed the private room."));
+    socket.on("pack-error", ({ message }) => setPackError(message));
+    socket.on("history", ({ matches, rating }) => {
+      setProfile({ rating, matches: matches.map((m) => ({ ...m, drawings: m.drawings.map(unpackStrokes) })) });
+    });
+
+    socket.on("tournament-update", (t) => {
+      setTournament(t);
+      setTournamentError(null);
+      setRoomCodeInUrl(t.code, "tournament");
+      if (phaseRef.current === "queue") setPhase("tournament");
+    });
+    function leftTournament(notice) {
+      setTournament(null);
+      setRoomNotice(notice);
+      setRoomCodeInUrl(null);
+      if (phaseRef.current === "tournament" || phaseRef.current === "queue") {
+        setPhase("queue");
+        socket.emit("play-again", queueRef.current);
+      }
+    }
+    // Errors before we're in a tournament mean we couldn't join it.
+    socket.on("tournament-error", ({ message }) => {
+      if (tournamentRef.current) setTournamentError(message);
+      else leftTournament(message);
+    });
+    socket.on("tournament-closed", () => leftTournament("The organizer cancelled the tournament."));
+    // Our match ended while we were away; look for a new one.
+    socket.on("resume-failed", () => {
+      dispatchMine({ type: "reset" });
+      backToQueue();
+      socket.emit("play-again", queueRef.current);
     });
 
     return () => {
+      socket.off("rating");
       socket.off("round-start");
+      socket.off("round-resume");
       socket.off("round-ended");
       socket.off("receive-stroke");
-      socket.off("undo-confirm");
+      socket.off("opponent-stroke-progress");
+      socket.off("opponent-stroke-cancel");
+      socket.off("opponent-erase");
       socket.off("opponent-undo");
+      socket.off("opponent-redo");
       socket.off("opponent-clear");
+      socket.off("opponent-disconnected");
+      socket.off("opponent-reconnected");
       socket.off("opponent-leave");
+      socket.off("resume-failed");
+      socket.off("room-update");
+      socket.off("room-error");
+      socket.off("room-closed");
+      socket.off("pack-error");
+      socket.off("history");
+      socket.off("tournament-update");
+      socket.off("tournament-error");
+      socket.off("tournament-closed");
+      socket.off("audience-result");
+      socket.off("series-forfeit");
     };
-  }, [username]);
+  }, [username, watchCode, mode]);
 
   // Robust timer (server-authoritative, always in sync)
   useEffect(() => {
@@ -300,72 +461,174 @@ export default function App() {
       else {
         setRoundActive(false);
         setPhase("result");
-        socket.emit("end-round");
       }
     }
     tick();
     return () => { stop = true; };
   }, [roundActive, phase, roundStartTime, serverDuration]);
 
-  function sendStroke(stroke) {
-    socket.emit("send-stroke", stroke);
-  }
-  function handleUndo() {
-    socket.emit("undo");
-  }
+  const strokesLeft = promptInfo?.maxStrokes ? Math.max(0, promptInfo.maxStrokes - myStrokes.length) : null;
+  const strokesLeftRef = useRef(strokesLeft);
+  strokesLeftRef.current = strokesLeft;
+  // Kept the same across renders, so timer ticks don't re-render our canvas.
+  const handleOp = useCallback((op) => {
+    // The server drops strokes past the prompt's limit, so don't draw them here either.
+    if (op.type === "stroke" && strokesLeftRef.current === 0) return liveSender.cancel();
+    dispatchMine(op);
+    emitOp(op);
+  }, []);
+  const handleLiveStroke = useCallback((stroke) => {
+    if (stroke) liveSender.update(stroke);
+    else liveSender.cancel();
+  }, []);
   function resetRound() {
-    setMyStrokes([]);
-    setOpponentStrokes([]);
+    dispatchMine({ type: "reset" });
+    dispatchOpponent({ type: "reset" });
     setWinner(null);
+    setWinnerIndex(null);
     setPhase("queue");
     setRoundActive(false);
     setMmrDelta(0);
-    socket.emit("play-again");
+    socket.emit("play-again", queueRef.current);
+  }
+  function chooseBestOf(n) {
+    setBestOf(n);
+    localStorage.setItem("bestOf", n);
+    socket.emit("play-again", { bestOf: n, bot: playBots });
+  }
+  function choosePlayBots(on) {
+    setPlayBots(on);
+    localStorage.setItem("playBots", on);
+    socket.emit("play-again", { bestOf, bot: on });
+  }
+  function createRoom() {
+    socket.emit("create-room");
+  }
+  function leaveRoom() {
+    socket.emit("leave-room");
+    setPrivateRoom(null);
+    setRoomCodeInUrl(null);
+    resetRound();
+  }
+  function leaveTournament() {
+    socket.emit("leave-tournament");
+    setTournament(null);
+    setRoomCodeInUrl(null);
+    resetRound();
+  }
+  function openProfile() {
+    socket.emit("get-history");
+    setPhase("profile");
+  }
+  // Shows a match from the history on the results view.
+  function openMatch(match) {
+    const me = match.youAre;
+    setPrompt(match.prompt);
+    setPromptInfo(match.promptInfo);
+    setPlayers(match.players);
+    setPlayerNames(match.players);
+    setYouAre(me);
+    youAreRef.current = me;
+    setOpponentIsBot(match.bot);
+    dispatchMine({ type: "reset", canvas: { ...EMPTY_CANVAS, strokes: match.drawings[me] } });
+    dispatchOpponent({ type: "reset", canvas: { ...EMPTY_CANVAS, strokes: match.drawings[1 - me] } });
+    setVerdict(match.verdict);
+    setWinnerIndex(match.winnerIndex);
+    setWinner(match.winnerIndex === null ? null : match.players[match.winnerIndex]);
+    setRanked(match.ranked);
+    setMmrDelta(match.delta);
+    setOpponentDelta(null);
+    setSeries(null);
+    setRecording(null);
+    setShowReplay(false);
+    setAudience(null);
+    setReviewing(true);
+    setPhase("result");
+  }
+  // Account actions need the server, so they connect if we aren't online.
+  function sendAuth(event, details) {
+    setAuthBusy(true);
+    setAuthError(null);
+    socket.connect();
+    socket.emit(event, details);
+  }
+  function playAsGuest(name) {
+    const guest = { username: name, guest: true };
+    setAccount(guest);
+    localStorage.setItem("account", JSON.stringify(guest));
+    setAccountScreen(null);
+    setAuthError(null);
+  }
+  function logout() {
+    if (token) {
+      // The server ends the session and closes the socket.
+      socket.connect();
+      socket.emit("logout", { token });
+    } else {
+      socket.disconnect();
+    }
+    localStorage.removeItem("account");
+    setAccount(null);
+    setMode(null);
+    setAuthError(null);
+  }
+  function changeMode() {
+    socket.disconnect();
+    setMode(null);
+  }
+  function stopWatching() {
+    socket.emit("leave-room");
+    setRoomCodeInUrl(null);
+    setWatchCode(null);
   }
 
   // Auth flow
-  if (!username) {
+  if (!account || accountScreen) {
     return (
-      <div style={{
-        minHeight: "100vh", background: BG, display: "flex",
-        alignItems: "center", justifyContent: "center"
-      }}>
-        <div style={{
-          padding: 34, minWidth: 312,
-          borderRadius: 14, background: "#fff",
-          boxShadow: "0 1px 8px #dde1ee22"
-        }}>
-          <h1 style={{
-            fontWeight: 500, fontSize: 27, color: TEXT1,
-            letterSpacing: 0.7, marginBottom: 14, fontFamily: "Inter,sans-serif"
-          }}>Art Fighting</h1>
-          <input
-            placeholder="Enter your username…"
-            value={inputName}
-            onChange={e => setInputName(e.target.value)}
-            style={{
-              fontSize: 18, padding: 10, marginBottom: 16, width: "100%", borderRadius: 8,
-              border: `1px solid ${ACCENT}`, outline: "none", fontFamily: "Inter,sans-serif"
-            }}
-          /><br />
-          <button
-            style={{
-              fontSize: 17, padding: "8px 22px", borderRadius: 8,
-              background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
-            }}
-            onClick={() => {
-              if (inputName.trim().length < 2) return;
-              setUsername(inputName);
-              localStorage.setItem("username", inputName);
-              localStorage.setItem("mmr", mmr);
-            }}>
-            Login
-          </button>
-        </div>
-      </div>
+      <AccountScreen
+        key={accountScreen ? accountScreen.tab : "signed-out"}
+        initialTab={accountScreen?.tab}
+        guestName={accountScreen?.upgrade ? username : undefined}
+        busy={authBusy}
+        error={authError}
+        onLogin={(details) => sendAuth("login", details)}
+        onRegister={(details) => sendAuth("register", { ...details, token: accountScreen?.upgrade ? token : undefined })}
+        onGuest={playAsGuest}
+        onCancel={accountScreen ? () => { setAccountScreen(null); setAuthError(null); } : undefined}
+      />
+    );
+  }
+
+  if (!mode) {
+    return (
+      <ModePicker
+        account={account}
+        notice={kickNotice}
+        onPick={(picked) => { setKickNotice(null); setMode(picked); }}
+        onUpgrade={() => setAccountScreen({ tab: "signup", upgrade: true })}
+        onSwitch={() => setAccountScreen({ tab: "login", switching: true })}
+        onLogout={logout}
+      />
     );
   }
 
+  if (mode !== "online") {
+    return (
+      <OfflineGame
+        key={mode}
+        mode={mode}
+        username={username}
+        width={SIDE_W}
+        height={SIDE_H}
+        onExit={() => setMode(null)}
+      />
+    );
+  }
+
+  if (watchCode) {
+    return <SpectatorView socket={socket} code={watchCode} width={SIDE_W} height={SIDE_H} onLeave={stopWatching} />;
+  }
+
   // Waiting/queue state
   if (phase === "queue") {
     return (
@@ -385,8 +648,38 @@ export default function App() {
             fontSize: 15, color: TEXT2, marginBottom: 13, fontWeight: 400,
             letterSpacing: 0.1, fontFamily: "Inter,sans-serif"
           }}>
-            Share this link with a friend to play together!
+            <label>
+              Match length{" "}
+              <select
+                value={bestOf}
+                onChange={(e) => chooseBestOf(Number(e.target.value))}
+                style={{ fontSize: 14, padding: "3px 6px", borderRadius: 7, border: `1px solid ${CANVAS_BORDER}` }}>
+                {MATCH_LENGTHS.map(([n, label]) => <option key={n} value={n}>{label}</option>)}
+              </select>
+            </label>
+            <br />
+            <label>
+              <input type="checkbox" checked={playBots} onChange={(e) => choosePlayBots(e.target.checked)} />
+              {" "}Play a bot if nobody turns up (unranked)
+            </label>
+            <br />
+            Want to play a friend instead?{" "}
+            <button style={{
+              fontSize: 14, padding: "4px 12px", borderRadius: 8, marginLeft: 4,
+              background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={createRoom}>
+              Create Private Room
+            </button>
+            <button style={{
+              fontSize: 14, padding: "4px 12px", borderRadius: 8, marginLeft: 6,
+              background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={() => socket.emit("create-tournament")}>
+              Create Tournament
+            </button>
           </div>
+          {roomNotice &&
+            <div style={{ fontSize: 14, color: LOSE, marginBottom: 10 }}>{roomNotice}</div>
+          }
           <div style={{
             display: "flex", gap: 14, marginTop: 10
           }}>
@@ -403,12 +696,88 @@ export default function App() {
             }}>
               Opponent: {players[1] || "Opponent"}
             </div>
+            <button style={{
+              fontSize: 14, padding: "4px 12px", borderRadius: 8,
+              background: "#fff", color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={openProfile}>
+              Profile
+            </button>
+            <button style={{
+              fontSize: 14, padding: "4px 12px", borderRadius: 8,
+              background: "#fff", color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={changeMode}>
+              Change Mode
+            </button>
           </div>
         </div>
       </div>
     );
   }
 
+  if (phase === "lobby" && privateRoom) {
+    return (
+      <div style={{
+        minHeight: "100vh", background: BG,
+        display: "flex", alignItems: "center", justifyContent: "center"
+      }}>
+        <div style={{
+          borderRadius: 14, background: "#fff",
+          boxShadow: "0 1px 8px #dde1ee11",
+          padding: "32px 40px", minWidth: 320
+        }}>
+          <PrivateRoom
+            room={privateRoom}
+            onOptions={(options) => socket.emit("room-options", options)}
+            onStart={() => socket.emit("room-start")}
+            onLeave={leaveRoom}
+            onImportPack={(pack) => socket.emit("room-import-pack", pack)}
+            packError={packError}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === "profile") {
+    return (
+      <div style={{
+        minHeight: "100vh", background: BG,
+        display: "flex", alignItems: "center", justifyContent: "center"
+      }}>
+        <div style={{
+          borderRadius: 14, background: "#fff",
+          boxShadow: "0 1px 8px #dde1ee11",
+          padding: "32px 40px", minWidth: 320
+        }}>
+          <ProfileView username={username} profile={profile} onOpen={openMatch} onBack={() => setPhase("queue")} />
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === "tournament" && tournament) {
+    return (
+      <div style={{
+        minHeight: "100vh", background: BG,
+        display: "flex", alignItems: "center", justifyContent: "center"
+      }}>
+        <div style={{
+          borderRadius: 14, background: "#fff",
+          boxShadow: "0 1px 8px #dde1ee11",
+          padding: "32px 40px", minWidth: 320, maxWidth: "90vw"
+        }}>
+          <TournamentView
+            tournament={tournament}
+            onOptions={(options) => socket.emit("tournament-options", options)}
+            onStart={() => socket.emit("start-tournament")}
+            onLeave={leaveTournament}
+            error={tournamentError}
+          />
+        </div>
+      </div>
+    );
+  }
+
   // Main Game UI
   // Only show canvases if phase === "draw"
   if (phase === "draw") {
@@ -430,9 +799,21 @@ export default function App() {
           <span>
             <b>Prompt:</b> {prompt}
           </span>
+          <PromptDetails info={promptInfo} />
           <span style={{ marginLeft: 16, color: ACCENT }}>
             <b>Time left:</b> {timer}s
           </span>
+          {!ranked && <span style={{ marginLeft: 16 }}>Unranked</span>}
+          <SeriesScore series={series} names={playerNames} />
+          {series &&
+            <button style={{
+              marginLeft: 12, fontSize: 13, padding: "2px 10px", borderRadius: 7,
+              background: "#fff", color: LOSE, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={() => socket.emit("forfeit")}>
+              Forfeit
+            </button>
+          }
+          <PromptConstraint info={promptInfo} strokesLeft={strokesLeft} />
         </div>
         <div style={{
           display: "flex", flexDirection: "row", justifyContent: "center",
@@ -443,14 +824,15 @@ export default function App() {
             <div style={{
               textAlign: "center", marginBottom: 8, fontWeight: 500, color: TEXT1, fontSize: 16
             }}>
-              {playerNames[youAre]} <span style={{ color: ACCENT, fontSize: 14 }}>({mmr} MMR)</span>
+              {playerNames[youAre]} <span style={{ color: ACCENT, fontSize: 14 }}>({mmr ?? "???"} MMR)</span>
             </div>
             <DrawingCanvas
               enabled={phase === "draw"}
               strokes={myStrokes}
-              setStrokes={setMyStrokes}
-              onSendStroke={sendStroke}
-              onUndo={handleUndo}
+              onOp={handleOp}
+              onLiveStroke={handleLiveStroke}
+              canUndo={myCanvas.undoStack.length > 0}
+              canRedo={myCanvas.redoStack.length > 0}
               width={SIDE_W}
               height={SIDE_H}
             />
@@ -465,13 +847,20 @@ export default function App() {
             <div style={{
               textAlign: "center", marginBottom: 8, fontWeight: 500, color: ACCENT, fontSize: 16
             }}>
-              {playerNames[1 - youAre] || "Opponent"} <span style={{ color: "#bfc8db", fontSize: 14 }}>(??? MMR)</span>
+              {playerNames[1 - youAre] || "Opponent"}{" "}
+              {opponentIsBot ? (
+                <span style={{ color: TEXT2, fontSize: 14 }}>(bot replaying a player's drawing)</span>
+              ) : (
+                <span style={{ color: "#bfc8db", fontSize: 14 }}>({opponentMMR ?? "???"} MMR)</span>
+              )}
+              {!opponentConnected &&
+                <span style={{ marginLeft: 8, color: LOSE, fontSize: 14 }}>reconnecting…</span>
+              }
             </div>
             <DrawingCanvas
               enabled={false}
               strokes={opponentStrokes}
-              setStrokes={() => { }}
-              onSendStroke={() => { }}
+              liveStroke={opponentLive}
               width={SIDE_W}
               height={SIDE_H}
             />
@@ -503,32 +892,108 @@ export default function App() {
             <b>Prompt:</b> {prompt}
           </div>
           <div style={{ fontSize: 17, margin: 9 }}>
-            <b>Winner:</b>{" "}
-            <span style={{
-              color: winner === username ? WIN : LOSE,
-              fontWeight: 600
-            }}>{winner}</span>
+            {!verdict && series?.forfeitedBy != null ? null : !verdict ? (
+              <span style={{ color: TEXT2 }}>Judging…</span>
+            ) : verdict.draw ? (
+              <b style={{ color: TEXT1 }}>It's a draw!</b>
+            ) : (
+              <>
+                <b>Winner:</b>{" "}
+                <span style={{
+                  color: winnerIndex === youAre ? WIN : LOSE,
+                  fontWeight: 600
+                }}>{winner}</span>
+              </>
+            )}
           </div>
           <MMRDelta delta={mmrDelta} />
-          <div style={{
-            display: "flex", flexDirection: "row", justifyContent: "center",
-            gap: 32, marginTop: 10
-          }}>
-            <div>
-              <div style={{ fontWeight: 500, marginBottom: 5, color: TEXT1, fontSize: 15 }}>{playerNames[youAre]}</div>
-              <DrawingCanvas enabled={false} strokes={myStrokes} setStrokes={() => { }} onSendStroke={() => { }} width={SIDE_W / 1.15} height={SIDE_H / 1.15} />
+          <VerdictBreakdown verdict={verdict} names={playerNames} />
+          <AudienceVote audience={audience} names={playerNames} />
+          <SeriesSummary series={series} names={playerNames} youAre={youAre} />
+          {!reviewing &&
+            <div style={{ fontSize: 14, marginTop: 8, color: TEXT2 }}>
+              {playerNames[youAre]}: {mmr} MMR{!opponentIsBot && <> · {playerNames[1 - youAre]}: {opponentMMR} MMR</>}
             </div>
-            <div>
-              <div style={{ fontWeight: 500, marginBottom: 5, color: ACCENT, fontSize: 15 }}>{playerNames[1 - youAre]}</div>
-              <DrawingCanvas enabled={false} strokes={opponentStrokes} setStrokes={() => { }} onSendStroke={() => { }} width={SIDE_W / 1.15} height={SIDE_H / 1.15} />
+          }
+          {showReplay && recording ? (
+            <ReplayViewer recording={recording} width={SIDE_W / 1.15} height={SIDE_H / 1.15} />
+          ) : (
+            <div style={{
+              display: "flex", flexDirection: "row", justifyContent: "center",
+              gap: 32, marginTop: 10
+            }}>
+              <div>
+                <div style={{ fontWeight: 500, marginBottom: 5, color: TEXT1, fontSize: 15 }}>{playerNames[youAre]}</div>
+                <DrawingCanvas enabled={false} strokes={myStrokes} width={SIDE_W / 1.15} height={SIDE_H / 1.15} />
+              </div>
+              <div>
+                <div style={{ fontWeight: 500, marginBottom: 5, color: ACCENT, fontSize: 15 }}>{playerNames[1 - youAre]}</div>
+                <DrawingCanvas enabled={false} strokes={opponentStrokes} width={SIDE_W / 1.15} height={SIDE_H / 1.15} />
+              </div>
             </div>
-          </div>
-          <button style={{
-            marginTop: 22, fontSize: 15, padding: "10px 32px", borderRadius: 9,
-            background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
-          }} onClick={resetRound}>
-            Queue for Next Match
-          </button>
+          )}
+          <ResultsDownloads
+            prompt={prompt}
+            winnerIndex={winnerIndex === null ? null : winnerIndex === youAre ? 0 : 1}
+            players={[
+              { name: playerNames[youAre], strokes: myStrokes, delta: ranked ? mmrDelta : null },
+              { name: playerNames[1 - youAre], strokes: opponentStrokes, delta: ranked ? opponentDelta : null },
+            ]}
+          />
+          {recording &&
+            <button style={{
+              marginTop: 14, marginRight: 10, fontSize: 15, padding: "10px 22px", borderRadius: 9,
+              background: "#fff", color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={() => setShowReplay((r) => !r)}>
+              {showReplay ? "Final Drawings" : "Watch Replay"}
+            </button>
+          }
+          {reviewing ? (
+            <button style={{
+              marginTop: 22, fontSize: 15, padding: "10px 32px", borderRadius: 9,
+              background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={() => setPhase("profile")}>
+              Back to Profile
+            </button>
+          ) : series && !series.over ? (
+            <button style={{
+              marginTop: 22, fontSize: 15, padding: "10px 22px", borderRadius: 9,
+              background: "#fff", color: LOSE, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={() => socket.emit("forfeit")}>
+              Forfeit Series
+            </button>
+          ) : tournament ? (
+            <button style={{
+              marginTop: 22, fontSize: 15, padding: "10px 32px", borderRadius: 9,
+              background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={() => setPhase("tournament")}>
+              Back to Bracket
+            </button>
+          ) : privateRoom ? (
+            <>
+              {privateRoom.youAre === 0 &&
+                <button style={{
+                  marginTop: 22, marginRight: 10, fontSize: 15, padding: "10px 32px", borderRadius: 9,
+                  background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+                }} disabled={!privateRoom.players[1]} onClick={() => socket.emit("room-start")}>
+                  Rematch
+                </button>
+              }
+              <button style={{
+                marginTop: 22, fontSize: 15, padding: "10px 22px", borderRadius: 9,
+                background: "#fff", color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+              }} onClick={() => setPhase("lobby")}>
+                Back to Room
+              </button>
+            </>
+          ) : (
+            <button style={{
+              marginTop: 22, fontSize: 15, padding: "10px 32px", borderRadius: 9,
+              background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+            }} onClick={resetRound}>
+              Queue for Next Match
+            </button>
+          )}
         </div>
       </div>
     );
@@ -0,0 +1,43 @@
+import React from "react";
+import { ACCENT, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2 } from "./theme";
+
+const buttonStyle = {
+  fontSize: 14, padding: "5px 14px", borderRadius: 8,
+  background: BTN, color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+// The spectators' vote on a finished round, shown next to the AI verdict.
+// `audience` is { counts, votes } where votes stays null while voting is open;
+// `onVote` is only passed to spectators.
+export default function AudienceVote({ audience, names, onVote, myVote }) {
+  if (!audience) return null;
+  return (
+    <div style={{ marginTop: 10, fontSize: 14, color: TEXT2 }}>
+      {audience.votes ? (
+        <div>
+          <b style={{ color: TEXT1 }}>Audience:</b>{" "}
+          {names[0]} {audience.votes[0]} · {names[1]} {audience.votes[1]}
+          {audience.counts && <span style={{ color: ACCENT }}> (counted toward the result)</span>}
+        </div>
+      ) : (
+        <div>
+          The audience is voting…
+          {audience.counts && <span style={{ color: ACCENT }}> Their vote counts toward the result.</span>}
+        </div>
+      )}
+      {onVote && !audience.votes &&
+        <div style={{ display: "flex", justifyContent: "center", gap: 10, marginTop: 8 }}>
+          {names.map((name, i) => (
+            <button
+              key={i}
+              style={{ ...buttonStyle, outline: myVote === i ? `2px solid ${ACCENT}` : "none" }}
+              onClick={() => onVote(i)}>
+              Vote {name}
+            </button>
+          ))}
+        </div>
+      }
+    </div>
+  );
+}
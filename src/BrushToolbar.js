@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+import { CirclePicker, ChromePicker } from "react-color";
+import { COLORS, BRUSH_SIZES, OPACITIES } from "./shared/strokes";
+import { BTN, CANVAS_BORDER, TEXT1 } from "./theme";
+
+function ToolButton({ active, title, onClick, children }) {
+  return (
+    <button
+      title={title}
+      aria-pressed={active}
+      onClick={onClick}
+      style={{
+        width: 28, height: 28, padding: 0,
+        display: "inline-flex", alignItems: "center", justifyContent: "center",
+        background: active ? "#fff" : BTN,
+        border: `1px solid ${active ? TEXT1 : CANVAS_BORDER}`,
+        borderRadius: 7,
+        cursor: "pointer",
+      }}>
+      {children}
+    </button>
+  );
+}
+
+export default function BrushToolbar({ style, onChange, tool, onToolChange }) {
+  const [customOpen, setCustomOpen] = useState(false);
+  const set = (patch) => onChange({ ...style, ...patch });
+
+  return (
+    <div style={{
+      display: "flex", flexWrap: "wrap", alignItems: "center", justifyContent: "center",
+      gap: 10, margin: "2px 0 6px 0", position: "relative"
+    }}>
+      <div style={{ display: "flex", gap: 4 }}>
+        <ToolButton title="Brush" active={tool === "brush"} onClick={() => onToolChange("brush")}>✎</ToolButton>
+        <ToolButton title="Eraser" active={tool === "eraser"} onClick={() => onToolChange("eraser")}>⌫</ToolButton>
+      </div>
+      <CirclePicker
+        width="auto"
+        colors={COLORS}
+        color={style.color}
+        circleSize={18}
+        circleSpacing={6}
+        onChangeComplete={(c) => set({ color: c.hex })}
+      />
+      <ToolButton title="Custom color" active={customOpen} onClick={() => setCustomOpen((o) => !o)}>
+        <span style={{
+          width: 14, height: 14, borderRadius: "50%", background: style.color,
+          border: `1px solid ${CANVAS_BORDER}`
+        }} />
+      </ToolButton>
+      {customOpen &&
+        <div style={{ position: "absolute", top: 34, zIndex: 2 }}>
+          <ChromePicker disableAlpha color={style.color} onChangeComplete={(c) => set({ color: c.hex })} />
+        </div>
+      }
+      <div style={{ display: "flex", gap: 4 }}>
+        {BRUSH_SIZES.map((size) =>
+          <ToolButton key={size} title={`Brush size ${size}`} active={style.size === size} onClick={() => set({ size })}>
+            <span style={{
+              width: Math.min(size * 0.6 + 2, 18), height: Math.min(size * 0.6 + 2, 18),
+              borderRadius: "50%", background: TEXT1
+            }} />
+          </ToolButton>
+        )}
+      </div>
+      <div style={{ display: "flex", gap: 4 }}>
+        {OPACITIES.map((opacity) =>
+          <ToolButton key={opacity} title={`Opacity ${Math.round(opacity * 100)}%`} active={style.opacity === opacity} onClick={() => set({ opacity })}>
+            <span style={{ width: 16, height: 16, borderRadius: 4, background: style.color, opacity }} />
+          </ToolButton>
+        )}
+      </div>
+    </div>
+  );
+}
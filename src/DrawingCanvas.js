@@ -0,0 +1,292 @@
+import React, { memo, useEffect, useLayoutEffect, useRef, useState } from "react";
+import BrushToolbar from "./BrushToolbar";
+import { compactStroke } from "./shared/encoding";
+import { canBakeStrokes, canvasPainter, createStrokeLayer } from "./strokeLayer";
+import {
+  CANVAS_WIDTH, CANVAS_HEIGHT, DEFAULT_STYLE, ERASER_RADIUS, MAX_ERASE_WORK, MAX_ERASER_POINTS, MAX_STROKES,
+  MAX_STROKE_POINTS, eraseStrokes, eraseWork, getSvgPath, makeStroke
+} from "./shared/strokes";
+import { BTN, BTN_TEXT, CANVAS_BG, CANVAS_BORDER } from "./theme";
+
+function ToolRowButton({ enabled, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={!enabled}
+      style={{
+        marginTop: 1,
+        background: BTN,
+        color: BTN_TEXT,
+        border: `1px solid ${CANVAS_BORDER}`,
+        borderRadius: 8,
+        fontWeight: 500,
+        fontSize: 16,
+        padding: "5px 19px",
+        cursor: enabled ? "pointer" : "not-allowed",
+        opacity: enabled ? 1 : 0.6,
+      }}>
+      {children}
+    </button>
+  );
+}
+
+function StrokePath({ stroke, fade = 1 }) {
+  return (
+    <path
+      d={getSvgPath(stroke)}
+      fill={stroke.color}
+      stroke={stroke.color}
+      strokeLinejoin="round"
+      strokeLinecap="round"
+      opacity={stroke.opacity * fade}
+    />
+  );
+}
+
+// Touches this soon after a pen was last seen are taken for the hand holding it.
+const PEN_GRACE_MS = 500;
+
+// Committed strokes as SVG, for browsers that can't bake them into a bitmap.
+const SvgStrokes = memo(function SvgStrokes({ strokes }) {
+  return strokes.map((stroke, i) => <StrokePath key={i} stroke={stroke} />);
+});
+
+// `onOp` receives canvas ops (see shared/canvas.js); the parent applies them
+// to `strokes` and forwards them to the opponent. `onLiveStroke` sees the
+// stroke while it is being drawn, and null if it is abandoned. `liveStroke`
+// renders someone else's in-progress stroke. `width`/`height` are the on-screen
+// size in pixels; strokes are always in logical canvas units.
+//
+// Committed strokes are baked into a bitmap (see strokeLayer.js); only the
+// strokes in progress are SVG. Pointer moves collect into a ref and show at
+// most once per animation frame.
+//
+// One pointer draws at a time, captured so the stroke carries on past the
+// edge. A pen records its pressure on every point; mice and fingers leave it
+// to perfect-freehand to simulate. While a pen is in use, touches are ignored
+// (palm rejection), and a second finger turns a touch into a pinch or pan,
+// which abandons the stroke instead of drawing.
+function DrawingCanvas({
+  enabled, strokes, onOp, onLiveStroke, liveStroke, canUndo, canRedo, width, height
+}) {
+  const pointsRef = useRef([]);
+  const eraseWorkRef = useRef(0);
+  const previewRef = useRef(null);
+  const pointerRef = useRef(null);
+  const touchesRef = useRef(new Set());
+  const gestureRef = useRef(false);
+  const penSeenRef = useRef(-Infinity);
+  const frameRef = useRef(null);
+  const [, setFrame] = useState(0);
+  const [brush, setBrush] = useState(DEFAULT_STYLE);
+  const [tool, setTool] = useState("brush");
+  const svgRef = useRef();
+  const layerRef = useRef();
+  const [baking] = useState(canBakeStrokes);
+  const bakedRef = useRef(null);
+
+  // The server takes no more strokes past MAX_STROKES, so neither do we.
+  const full = tool === "brush" && strokes.length >= MAX_STROKES;
+  const currStroke = pointsRef.current;
+  const erasing = tool === "eraser" && currStroke.length > 0;
+  const shown = erasing ? erasePreview() : strokes;
+
+  // `strokes` with the eraser pass so far taken out. Each frame only erases
+  // along the points added since the last one, starting from the last result
+  // (the same strokes as erasing the whole pass at once), and keeps that
+  // result when nothing was hit, so the layer has nothing to repaint.
+  function erasePreview() {
+    const prev = previewRef.current;
+    const fresh = !prev || prev.base !== strokes || prev.count > currStroke.length;
+    if (!fresh && prev.count === currStroke.length) return prev.strokes;
+    const from = fresh ? strokes : prev.strokes;
+    const out = eraseStrokes(from, fresh ? currStroke : currStroke.slice(prev.count - 1), ERASER_RADIUS);
+    const same = out.length === from.length && out.every((stroke, i) => stroke === from[i]);
+    previewRef.current = { base: strokes, count: currStroke.length, strokes: same ? from : out };
+    return previewRef.current.strokes;
+  }
+
+  // A new bitmap (and painter) whenever the on-screen size changes.
+  const ratio = typeof window === "undefined" ? 1 : window.devicePixelRatio || 1;
+  useLayoutEffect(() => {
+    if (!baking) return;
+    const canvas = layerRef.current;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    bakedRef.current = createStrokeLayer(canvasPainter(canvas, canvas.width / CANVAS_WIDTH));
+  }, [baking, width, height, ratio]);
+  useLayoutEffect(() => {
+    bakedRef.current?.update(shown);
+  });
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  // Clamped to the canvas, as the server would, since capture lets the
+  // pointer wander off it.
+  function pointerPos(e) {
+    const rect = svgRef.current.getBoundingClientRect();
+    const clamp = (v, max) => Math.min(max, Math.max(0, v));
+    const pos = [
+      clamp(((e.clientX - rect.left) / rect.width) * CANVAS_WIDTH, CANVAS_WIDTH),
+      clamp(((e.clientY - rect.top) / rect.height) * CANVAS_HEIGHT, CANVAS_HEIGHT),
+    ];
+    // Some pens report no pressure at the moment they touch down.
+    if (e.pointerType === "pen" && tool === "brush") pos.push(e.pressure || 0.5);
+    return pos;
+  }
+
+  // Shows the points gathered since the last frame.
+  function scheduleFrame() {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      setFrame((f) => f + 1);
+      if (tool === "brush" && pointsRef.current.length) onLiveStroke?.(makeStroke(pointsRef.current, brush));
+    });
+  }
+  function endStroke() {
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = null;
+    pointsRef.current = [];
+    pointerRef.current = null;
+    setFrame((f) => f + 1);
+  }
+  function abandonStroke() {
+    if (!pointsRef.current.length) return;
+    if (tool === "brush") onLiveStroke?.(null);
+    endStroke();
+  }
+
+  // Keeps track of pens and fingers on the canvas, whether or not they draw.
+  function notePointer(e, down) {
+    if (e.pointerType === "pen") penSeenRef.current = e.timeStamp;
+    if (e.pointerType !== "touch") return;
+    const touches = touchesRef.current;
+    if (down) touches.add(e.pointerId);
+    else touches.delete(e.pointerId);
+    if (touches.size > 1) gestureRef.current = true;
+    if (!touches.size) gestureRef.current = false;
+  }
+
+  function onPointerDown(e) {
+    notePointer(e, true);
+    if (!enabled) return;
+    const current = pointerRef.current;
+    if (e.pointerType === "touch") {
+      // A second finger makes it a pinch or pan, not a stroke.
+      if (gestureRef.current) {
+        if (current?.type === "touch") abandonStroke();
+        return;
+      }
+      if (e.timeStamp - penSeenRef.current < PEN_GRACE_MS) return;
+    }
+    // The palm landed before the pen did.
+    if (e.pointerType === "pen" && current?.type === "touch") abandonStroke();
+    if (pointsRef.current.length || e.button > 0 || full) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    pointerRef.current = { id: e.pointerId, type: e.pointerType };
+    pointsRef.current = [pointerPos(e)];
+    eraseWorkRef.current = 0;
+    setFrame((f) => f + 1);
+  }
+  const isDrawingPointer = (e) => pointsRef.current.length > 0 && pointerRef.current?.id === e.pointerId;
+  // Long eraser drags go out as several passes, each within the limits the
+  // server holds them to.
+  function addEraserPoint(pos) {
+    const points = pointsRef.current;
+    const last = points[points.length - 1];
+    const work = eraseWork(strokes, [last, pos], ERASER_RADIUS);
+    if (points.length >= MAX_ERASER_POINTS || eraseWorkRef.current + work > MAX_ERASE_WORK) {
+      onOp({ type: "erase", points, radius: ERASER_RADIUS });
+      pointsRef.current = [last];
+      eraseWorkRef.current = 0;
+    }
+    pointsRef.current.push(pos);
+    eraseWorkRef.current += work;
+  }
+  function onPointerMove(e) {
+    if (e.pointerType === "pen") penSeenRef.current = e.timeStamp;
+    const points = pointsRef.current;
+    if (!enabled || !isDrawingPointer(e)) return;
+    if (tool === "eraser") addEraserPoint(pointerPos(e));
+    else if (points.length < MAX_STROKE_POINTS) points.push(pointerPos(e));
+    else return;
+    scheduleFrame();
+  }
+  function onPointerUp(e) {
+    const drawn = isDrawingPointer(e);
+    notePointer(e, false);
+    const points = pointsRef.current;
+    if (!enabled || !drawn) return;
+    if (tool === "eraser") {
+      onOp({ type: "erase", points, radius: ERASER_RADIUS });
+    } else if (points.length > 1) {
+      // Simplified and quantized now, so our copy matches what the server gets.
+      onOp({ type: "stroke", stroke: compactStroke(makeStroke(points, brush)) });
+    } else {
+      onLiveStroke?.(null);
+    }
+    endStroke();
+  }
+  // Also what the browser sends when it takes touches over for pinch-zooming.
+  function onPointerCancel(e) {
+    const drawn = isDrawingPointer(e);
+    notePointer(e, false);
+    if (drawn) abandonStroke();
+  }
+
+  return (
+    <div style={{
+      width: width + 6,
+      background: CANVAS_BG,
+      borderRadius: 15,
+      boxShadow: "0 1px 6px #dde1ee12",
+      display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "flex-start",
+      padding: 8, position: "relative",
+      border: `1.2px solid ${CANVAS_BORDER}`,
+      margin: "0 auto"
+    }}>
+      {enabled && <BrushToolbar style={brush} onChange={setBrush} tool={tool} onToolChange={setTool} />}
+      <div style={{
+        position: "relative", width, height, marginBottom: 5,
+        borderRadius: 11, overflow: "hidden", background: "#fff"
+      }}>
+        {baking &&
+          <canvas ref={layerRef} style={{ position: "absolute", left: 0, top: 0, width, height }} />
+        }
+        <svg
+          ref={svgRef}
+          role="img"
+          aria-label={enabled ? "Your canvas" : "Drawing"}
+          width={width}
+          height={height}
+          viewBox={`0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}`}
+          style={{
+            position: "relative",
+            display: "block",
+            border: "none",
+            // One finger draws; two can still zoom the page.
+            touchAction: enabled ? "pinch-zoom" : "auto",
+            cursor: !enabled || full ? "not-allowed" : tool === "eraser" ? "cell" : "crosshair",
+          }}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerCancel}
+        >
+          {!baking && <SvgStrokes strokes={shown} />}
+          {liveStroke && liveStroke.points.length > 1 && <StrokePath stroke={liveStroke} fade={0.6} />}
+          {!erasing && currStroke.length > 1 && <StrokePath stroke={makeStroke(currStroke, brush)} fade={0.6} />}
+        </svg>
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <ToolRowButton enabled={enabled && canUndo} onClick={() => onOp({ type: "undo" })}>Undo</ToolRowButton>
+        <ToolRowButton enabled={enabled && canRedo} onClick={() => onOp({ type: "redo" })}>Redo</ToolRowButton>
+        <ToolRowButton enabled={enabled && strokes.length > 0} onClick={() => onOp({ type: "clear" })}>Clear</ToolRowButton>
+      </div>
+    </div>
+  );
+}
+
+// Timer ticks re-render the screens around the canvases; unchanged props skip them.
+export default memo(DrawingCanvas);
@@ -0,0 +1,147 @@
+import { act, render, screen, createEvent, fireEvent } from "@testing-library/react";
+import DrawingCanvas from "./DrawingCanvas";
+import { CANVAS_WIDTH, CANVAS_HEIGHT, MAX_STROKES } from "./shared/strokes";
+
+// jsdom has no PointerEvent, so its fields are attached by hand. Unless told
+// otherwise, it's the mouse.
+function pointer(type, target, clientX, clientY, init = {}) {
+  const event = createEvent[type](target);
+  const fields = { clientX, clientY, pointerId: 1, pointerType: "mouse", button: 0, pressure: 0, timeStamp: 0, ...init };
+  Object.entries(fields).forEach(([key, value]) => Object.defineProperty(event, key, { value }));
+  fireEvent(target, event);
+}
+
+function renderCanvas(width, height, props = {}) {
+  const ops = [];
+  const { unmount } = render(
+    <DrawingCanvas enabled strokes={[]} onOp={(op) => ops.push(op)} width={width} height={height} {...props} />
+  );
+  const svg = screen.getByRole("img");
+  svg.getBoundingClientRect = () => ({ left: 10, top: 20, width, height });
+  return { svg, ops, unmount };
+}
+
+// Halfway along the top edge, then to the far corner; simplification keeps the bend.
+function drawCorner(width, height) {
+  const { svg, ops, unmount } = renderCanvas(width, height);
+  pointer("pointerDown", svg, 10, 20);
+  pointer("pointerMove", svg, 10 + width / 2, 20);
+  pointer("pointerMove", svg, 10 + width, 20 + height);
+  pointer("pointerUp", svg, 10 + width, 20 + height);
+  unmount();
+  return ops[0].stroke;
+}
+
+test("strokes are recorded in logical units regardless of on-screen size", () => {
+  const small = drawCorner(360, 240);
+  const large = drawCorner(630, 420);
+  expect(small.points).toEqual([[0, 0], [CANVAS_WIDTH / 2, 0], [CANVAS_WIDTH, CANVAS_HEIGHT]]);
+  expect(large).toEqual(small);
+});
+
+test("every canvas maps the logical space with the same viewBox", () => {
+  render(<DrawingCanvas enabled={false} strokes={[]} width={200} height={133} />);
+  expect(screen.getByRole("img").getAttribute("viewBox")).toBe(`0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}`);
+});
+
+test("a pen records its pressure and keeps drawing past the edge", () => {
+  const { svg, ops } = renderCanvas(480, 320);
+  const pen = { pointerType: "pen", pointerId: 7 };
+  pointer("pointerDown", svg, 10, 20, { ...pen, pressure: 0.3 });
+  pointer("pointerMove", svg, 250, 20, { ...pen, pressure: 0.9 });
+  pointer("pointerLeave", svg, 600, 600, pen);
+  pointer("pointerMove", svg, 600, 600, { ...pen, pressure: 0.5 });
+  pointer("pointerUp", svg, 600, 600, pen);
+  expect(ops).toHaveLength(1);
+  expect(ops[0].stroke.points).toEqual([[0, 0, 0.3], [480, 0, 0.9], [CANVAS_WIDTH, CANVAS_HEIGHT, 0.5]]);
+});
+
+test("touches are ignored while a pen is in use", () => {
+  const { svg, ops } = renderCanvas(480, 320);
+  const pen = { pointerType: "pen", pointerId: 7, pressure: 0.5 };
+  const palm = { pointerType: "touch", pointerId: 8 };
+  // The palm lands first, then the pen takes over.
+  pointer("pointerDown", svg, 300, 300, { ...palm, timeStamp: 0 });
+  pointer("pointerDown", svg, 10, 20, { ...pen, timeStamp: 10 });
+  pointer("pointerMove", svg, 300, 310, { ...palm, timeStamp: 20 });
+  pointer("pointerMove", svg, 100, 100, { ...pen, timeStamp: 30 });
+  pointer("pointerUp", svg, 100, 100, { ...pen, timeStamp: 40 });
+  pointer("pointerUp", svg, 300, 310, { ...palm, timeStamp: 50 });
+  expect(ops).toHaveLength(1);
+  expect(ops[0].stroke.points.every((p) => p.length === 3)).toBe(true);
+
+  // Right after the pen, a touch is still the hand; a while later it draws.
+  pointer("pointerDown", svg, 300, 300, { ...palm, timeStamp: 100 });
+  pointer("pointerMove", svg, 350, 300, { ...palm, timeStamp: 110 });
+  pointer("pointerUp", svg, 350, 300, { ...palm, timeStamp: 120 });
+  pointer("pointerDown", svg, 300, 300, { ...palm, timeStamp: 2000 });
+  pointer("pointerMove", svg, 350, 300, { ...palm, timeStamp: 2010 });
+  pointer("pointerUp", svg, 350, 300, { ...palm, timeStamp: 2020 });
+  expect(ops).toHaveLength(2);
+  expect(ops[1].stroke.points).toEqual([[580, 560], [680, 560]]);
+});
+
+test("a second finger turns a touch stroke into a pinch that draws nothing", () => {
+  const { svg, ops } = renderCanvas(480, 320);
+  const one = { pointerType: "touch", pointerId: 1 };
+  const two = { pointerType: "touch", pointerId: 2 };
+  pointer("pointerDown", svg, 100, 100, one);
+  pointer("pointerMove", svg, 120, 100, one);
+  pointer("pointerDown", svg, 200, 200, two);
+  pointer("pointerMove", svg, 80, 100, one);
+  pointer("pointerMove", svg, 240, 200, two);
+  pointer("pointerUp", svg, 80, 100, one);
+  // Lifting one finger of the pinch doesn't start a stroke with the other.
+  pointer("pointerDown", svg, 100, 100, { ...one, pointerId: 3 });
+  pointer("pointerMove", svg, 150, 100, { ...one, pointerId: 3 });
+  pointer("pointerUp", svg, 150, 100, { ...one, pointerId: 3 });
+  pointer("pointerCancel", svg, 240, 200, two);
+  expect(ops).toHaveLength(0);
+
+  pointer("pointerDown", svg, 100, 100, one);
+  pointer("pointerMove", svg, 150, 100, one);
+  pointer("pointerUp", svg, 150, 100, one);
+  expect(ops).toHaveLength(1);
+});
+
+test("pointer moves between two frames go out as one update", () => {
+  const frames = [];
+  const raf = jest.spyOn(window, "requestAnimationFrame").mockImplementation((cb) => frames.push(cb));
+  const live = [];
+  const { svg } = renderCanvas(480, 320, { onLiveStroke: (stroke) => live.push(stroke) });
+  pointer("pointerDown", svg, 10, 20);
+  for (let i = 1; i <= 50; i++) pointer("pointerMove", svg, 10 + i * 5, 20 + i);
+  expect(frames).toHaveLength(1);
+  expect(live).toHaveLength(0);
+
+  act(() => frames.shift()());
+  expect(live).toHaveLength(1);
+  expect(live[0].points).toHaveLength(51);
+  raf.mockRestore();
+});
+
+test("a long eraser drag goes out as several passes that pick up where the last ended", () => {
+  const strokes = [{ points: [[0, 300], [960, 300]], color: "#000000", size: 6, opacity: 1 }];
+  const { svg, ops } = renderCanvas(480, 320, { strokes });
+  fireEvent.click(screen.getByTitle("Eraser"));
+  pointer("pointerDown", svg, 10, 20);
+  for (let i = 1; i <= 450; i++) pointer("pointerMove", svg, 10 + (i % 100), 20 + Math.floor(i / 100));
+  pointer("pointerUp", svg, 10, 25);
+  expect(ops.map((op) => op.points.length)).toEqual([200, 200, 53]);
+  expect(ops[1].points[0]).toEqual(ops[0].points[199]);
+  expect(ops[2].points[0]).toEqual(ops[1].points[199]);
+});
+
+test("a full canvas takes no more strokes but can still be erased", () => {
+  const strokes = Array.from({ length: MAX_STROKES }, () => ({ points: [[0, 0], [10, 10]], color: "#000000", size: 6, opacity: 1 }));
+  const { svg, ops } = renderCanvas(480, 320, { strokes });
+  pointer("pointerDown", svg, 100, 100);
+  pointer("pointerMove", svg, 200, 200);
+  pointer("pointerUp", svg, 200, 200);
+  expect(ops).toHaveLength(0);
+
+  fireEvent.click(screen.getByTitle("Eraser"));
+  pointer("pointerDown", svg, 10, 20);
+  pointer("pointerUp", svg, 10, 20);
+  expect(ops.map((op) => op.type)).toEqual(["erase"]);
+});
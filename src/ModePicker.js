@@ -0,0 +1,57 @@
+import React from "react";
+import { BG, BTN, BTN_TEXT, CANVAS_BORDER, LOSE, TEXT1, TEXT2 } from "./theme";
+
+const MODES = [
+  { id: "online", label: "Online ranked", about: "Get matched with another player. Private rooms and tournaments start here too." },
+  { id: "hotseat", label: "Local hot-seat", about: "Two players take turns on this device, which judges the drawings. No connection needed." },
+  { id: "practice", label: "Solo practice", about: "A prompt and the clock, no opponent. No connection needed." },
+];
+
+const linkStyle = {
+  fontSize: 13, padding: "4px 12px", borderRadius: 7,
+  background: "#fff", color: TEXT2, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+const buttonStyle = {
+  width: "100%", textAlign: "left", padding: "12px 16px", borderRadius: 9,
+  background: BTN, color: BTN_TEXT, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+// Shown after login: how this session is going to be played, plus the
+// account actions. `account` is { username, guest }; `notice` says why the
+// server sent the player back here, if it did.
+export default function ModePicker({ account, notice, onPick, onUpgrade, onSwitch, onLogout }) {
+  return (
+    <div style={{
+      minHeight: "100vh", background: BG,
+      display: "flex", alignItems: "center", justifyContent: "center"
+    }}>
+      <div style={{
+        borderRadius: 14, background: "#fff",
+        boxShadow: "0 1px 8px #dde1ee11",
+        padding: "32px 40px", minWidth: 320, maxWidth: 440, fontFamily: "Inter,sans-serif"
+      }}>
+        <h1 style={{ fontWeight: 500, fontSize: 22, color: TEXT1, letterSpacing: 0.5, marginBottom: 4 }}>
+          How do you want to play?
+        </h1>
+        <div style={{ fontSize: 14, color: TEXT2, marginBottom: 16 }}>
+          {account.guest ? "Playing as guest" : "Signed in as"} {account.username}
+        </div>
+        {notice && <div style={{ fontSize: 14, color: LOSE, marginBottom: 12 }}>{notice}</div>}
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          {MODES.map((mode) => (
+            <button key={mode.id} style={buttonStyle} onClick={() => onPick(mode.id)}>
+              <div style={{ fontSize: 16, fontWeight: 500 }}>{mode.label}</div>
+              <div style={{ fontSize: 13, color: TEXT2, marginTop: 3 }}>{mode.about}</div>
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 8, marginTop: 16 }}>
+          {account.guest && <button style={linkStyle} onClick={onUpgrade}>Create account</button>}
+          <button style={linkStyle} onClick={onSwitch}>Switch account</button>
+          <button style={linkStyle} onClick={onLogout}>{account.guest ? "Leave" : "Log out"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useCallback, useEffect, useReducer, useRef, useState } from "react";
+import DrawingCanvas from "./DrawingCanvas";
+import PromptDetails, { PromptConstraint } from "./PromptDetails";
+import ResultsDownloads from "./ResultsDownloads";
+import VerdictBreakdown from "./VerdictBreakdown";
+import { judgeRound } from "./aiJudge";
+import { EMPTY_CANVAS, applyOp } from "./shared/canvas";
+import { PROMPT_PACKS } from "./shared/prompts";
+import { ACCENT, BG, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, WIN } from "./theme";
+
+const DRAW_TIME = 60;
+
+const buttonStyle = {
+  fontSize: 15, padding: "10px 26px", borderRadius: 9,
+  background: BTN, color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+const secondaryStyle = { ...buttonStyle, background: "#fff" };
+const fieldStyle = {
+  fontSize: 14, padding: "4px 8px", borderRadius: 7,
+  border: `1px solid ${CANVAS_BORDER}`, background: "#fff", color: TEXT1
+};
+
+// A random prompt from `pack`, other than `previous` when there's a choice.
+function pickPrompt(pack, previous) {
+  const fresh = pack.filter((prompt) => prompt.text !== previous?.text);
+  const options = fresh.length ? fresh : pack;
+  return options[Math.floor(Math.random() * options.length)];
+}
+
+function Screen({ children }) {
+  return (
+    <div style={{
+      minHeight: "100vh", background: BG, fontFamily: "Inter,sans-serif",
+      display: "flex", alignItems: "center", justifyContent: "center"
+    }}>
+      <div style={{
+        textAlign: "center", background: "#fff", borderRadius: 14,
+        boxShadow: "0 1px 8px #dde1ee11", padding: "32px 40px", minWidth: 320, maxWidth: 760
+      }}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// Rounds played entirely on this device. In "hotseat" mode two players take
+// turns, the first drawing stays hidden until both are done, and the
+// client-side judge picks the winner; "practice" is a single drawing against
+// the clock. Neither needs the game server.
+export default function OfflineGame({ mode, username, width, height, onExit }) {
+  const hotSeat = mode === "hotseat";
+  const [names, setNames] = useState([username, "Player 2"]);
+  const [pack, setPack] = useState("classic");
+  const [prompt, setPrompt] = useState(() => pickPrompt(PROMPT_PACKS.classic));
+  // ready → draw, once per player, then result.
+  const [stage, setStage] = useState("ready");
+  const [turn, setTurn] = useState(0);
+  const [drawings, setDrawings] = useState([[], []]);
+  const [canvas, dispatch] = useReducer(applyOp, EMPTY_CANVAS);
+  const [deadline, setDeadline] = useState(null);
+  const [timer, setTimer] = useState(DRAW_TIME);
+  const [verdict, setVerdict] = useState(null);
+
+  function startTurn() {
+    if (hotSeat) setNames([names[0], names[1].trim() || "Player 2"]);
+    dispatch({ type: "reset" });
+    setDeadline(Date.now() + DRAW_TIME * 1000);
+    setTimer(DRAW_TIME);
+    setStage("draw");
+  }
+
+  function finishTurn() {
+    const done = drawings.map((strokes, i) => (i === turn ? canvas.strokes : strokes));
+    setDrawings(done);
+    if (hotSeat && turn === 0) {
+      setTurn(1);
+      setStage("ready");
+      return;
+    }
+    setStage("result");
+    if (hotSeat) judgeRound(prompt.text, done, names).then(setVerdict);
+  }
+  const finishRef = useRef(finishTurn);
+  finishRef.current = finishTurn;
+
+  useEffect(() => {
+    if (stage !== "draw") return;
+    let timeout;
+    function tick() {
+      const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setTimer(left);
+      if (left > 0) timeout = setTimeout(tick, 200);
+      else finishRef.current();
+    }
+    tick();
+    return () => clearTimeout(timeout);
+  }, [stage, deadline]);
+
+  function choosePack(name) {
+    setPack(name);
+    setPrompt(pickPrompt(PROMPT_PACKS[name]));
+  }
+
+  function playAgain() {
+    setPrompt(pickPrompt(PROMPT_PACKS[pack], prompt));
+    setDrawings([[], []]);
+    setTurn(0);
+    setVerdict(null);
+    setStage("ready");
+  }
+
+  const strokesLeft = prompt.maxStrokes ? Math.max(0, prompt.maxStrokes - canvas.strokes.length) : null;
+  const strokesLeftRef = useRef(strokesLeft);
+  strokesLeftRef.current = strokesLeft;
+  // Kept the same across renders, so timer ticks don't re-render the canvas.
+  const handleOp = useCallback((op) => {
+    if (op.type === "stroke" && strokesLeftRef.current === 0) return;
+    dispatch(op);
+  }, []);
+
+  const promptLine = (
+    <div style={{ fontSize: 16, color: TEXT2, margin: "8px 0" }}>
+      <b>Prompt:</b> {prompt.text}
+      <PromptDetails info={prompt} />
+    </div>
+  );
+
+  if (stage === "ready") {
+    return (
+      <Screen>
+        <h1 style={{ fontWeight: 500, fontSize: 22, color: TEXT1, letterSpacing: 0.5, marginBottom: 7 }}>
+          {!hotSeat ? "Solo practice" : turn === 0 ? "Local hot-seat" : `Pass the device to ${names[1]}`}
+        </h1>
+        {turn === 0 ? (
+          <div style={{ fontSize: 15, color: TEXT2, display: "flex", flexDirection: "column", gap: 10, alignItems: "center" }}>
+            {hotSeat &&
+              <label>
+                Second player{" "}
+                <input
+                  value={names[1]}
+                  maxLength={20}
+                  onChange={(e) => setNames([names[0], e.target.value])}
+                  style={fieldStyle}
+                />
+              </label>
+            }
+            <label>
+              Prompt pack{" "}
+              <select value={pack} onChange={(e) => choosePack(e.target.value)} style={fieldStyle}>
+                {Object.keys(PROMPT_PACKS).map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </label>
+          </div>
+        ) : (
+          <div style={{ fontSize: 15, color: TEXT2 }}>
+            {names[0]}'s drawing stays hidden until the results.
+          </div>
+        )}
+        {promptLine}
+        <div style={{ fontSize: 14, color: TEXT2, marginBottom: 14 }}>
+          {hotSeat ? `${names[turn]} has` : "You have"} {DRAW_TIME} seconds.
+        </div>
+        <button style={{ ...buttonStyle, marginRight: 10 }} onClick={startTurn}>Start Drawing</button>
+        <button style={secondaryStyle} onClick={onExit}>Change Mode</button>
+      </Screen>
+    );
+  }
+
+  if (stage === "draw") {
+    return (
+      <div style={{ minHeight: "100vh", background: BG, fontFamily: "Inter,sans-serif", textAlign: "center" }}>
+        <div style={{ padding: "12px 0 8px 0", fontWeight: 500, fontSize: 21, color: TEXT1, letterSpacing: 0.7 }}>
+          {hotSeat ? `${names[turn]}'s turn` : "Solo practice"}
+        </div>
+        <div style={{ marginBottom: 8, fontSize: 16, color: TEXT2 }}>
+          <b>Prompt:</b> {prompt.text}
+          <PromptDetails info={prompt} />
+          <span style={{ marginLeft: 16, color: ACCENT }}>
+            <b>Time left:</b> {timer}s
+          </span>
+          <PromptConstraint info={prompt} strokesLeft={strokesLeft} />
+        </div>
+        <div style={{ display: "inline-block" }}>
+          <DrawingCanvas
+            enabled
+            strokes={canvas.strokes}
+            onOp={handleOp}
+            canUndo={canvas.undoStack.length > 0}
+            canRedo={canvas.redoStack.length > 0}
+            width={width}
+            height={height}
+          />
+        </div>
+        <div>
+          <button style={{ ...buttonStyle, marginTop: 12 }} onClick={finishTurn}>Done</button>
+        </div>
+      </div>
+    );
+  }
+
+  const shown = hotSeat ? [0, 1] : [0];
+  return (
+    <Screen>
+      <h2 style={{ fontWeight: 500, fontSize: 20, color: TEXT1, marginBottom: 7 }}>{hotSeat ? "Results" : "Your drawing"}</h2>
+      {promptLine}
+      {hotSeat &&
+        <div style={{ fontSize: 17, margin: 9 }}>
+          {!verdict ? (
+            <span style={{ color: TEXT2 }}>Judging…</span>
+          ) : verdict.draw ? (
+            <b style={{ color: TEXT1 }}>It's a draw!</b>
+          ) : (
+            <><b>Winner:</b> <span style={{ color: WIN, fontWeight: 600 }}>{names[verdict.winnerIndex]}</span></>
+          )}
+        </div>
+      }
+      <VerdictBreakdown verdict={verdict} names={names} />
+      <div style={{ display: "flex", justifyContent: "center", gap: 32, marginTop: 10 }}>
+        {shown.map((i) => (
+          <div key={i}>
+            <div style={{ fontWeight: 500, marginBottom: 5, color: TEXT1, fontSize: 15 }}>{names[i]}</div>
+            <DrawingCanvas enabled={false} strokes={drawings[i]} width={width / 1.15} height={height / 1.15} />
+          </div>
+        ))}
+      </div>
+      <ResultsDownloads
+        prompt={prompt.text}
+        winnerIndex={verdict?.winnerIndex ?? null}
+        players={shown.map((i) => ({ name: names[i], strokes: drawings[i], delta: null }))}
+      />
+      <div style={{ marginTop: 22 }}>
+        <button style={{ ...buttonStyle, marginRight: 10 }} onClick={playAgain}>
+          {hotSeat ? "Play Again" : "Next Prompt"}
+        </button>
+        <button style={secondaryStyle} onClick={onExit}>Change Mode</button>
+      </div>
+    </Screen>
+  );
+}
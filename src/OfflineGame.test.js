@@ -0,0 +1,38 @@
+import { render, screen, fireEvent, createEvent } from "@testing-library/react";
+import OfflineGame from "./OfflineGame";
+
+function drawLine(svg) {
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 300, height: 200 });
+  for (const [type, x, y] of [["pointerDown", 20, 20], ["pointerMove", 150, 100], ["pointerUp", 280, 180]]) {
+    const event = createEvent[type](svg);
+    Object.defineProperties(event, { clientX: { value: x }, clientY: { value: y } });
+    fireEvent(svg, event);
+  }
+}
+
+test("hot-seat hides the first drawing and judges both on this device", async () => {
+  render(<OfflineGame mode="hotseat" username="alice" width={300} height={200} onExit={() => {}} />);
+  fireEvent.change(screen.getByLabelText(/Second player/), { target: { value: "bob" } });
+  fireEvent.click(screen.getByText("Start Drawing"));
+  expect(screen.getByText("alice's turn")).toBeInTheDocument();
+  drawLine(screen.getByRole("img"));
+  fireEvent.click(screen.getByText("Done"));
+
+  expect(screen.getByText("Pass the device to bob")).toBeInTheDocument();
+  expect(screen.queryByRole("img")).toBeNull();
+  fireEvent.click(screen.getByText("Start Drawing"));
+  expect(screen.getByText("bob's turn")).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Done"));
+
+  expect(await screen.findByText("alice", { selector: "span" })).toBeInTheDocument();
+  expect(screen.getAllByRole("img")).toHaveLength(2);
+});
+
+test("practice is a single drawing with no opponent", () => {
+  render(<OfflineGame mode="practice" username="alice" width={300} height={200} onExit={() => {}} />);
+  fireEvent.click(screen.getByText("Start Drawing"));
+  fireEvent.click(screen.getByText("Done"));
+  expect(screen.getByText("Your drawing")).toBeInTheDocument();
+  expect(screen.getAllByRole("img")).toHaveLength(1);
+  expect(screen.queryByText("Battle Card")).toBeNull();
+});
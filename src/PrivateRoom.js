@@ -0,0 +1,151 @@
+import React, { useRef, useState } from "react";
+import { parsePromptPack } from "./shared/prompts";
+import { ACCENT, BG, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, LOSE } from "./theme";
+
+const buttonStyle = {
+  fontSize: 15, padding: "8px 22px", borderRadius: 9,
+  background: BTN, color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+const selectStyle = {
+  fontSize: 14, padding: "4px 6px", borderRadius: 7,
+  border: `1px solid ${CANVAS_BORDER}`, background: "#fff", color: TEXT1
+};
+
+function inviteLink(code, param = "room") {
+  return `${window.location.origin}${window.location.pathname}?${param}=${code}`;
+}
+
+// Lobby for a private room: the invite link, who is in, and the host's options.
+// `room` is the server's room-update payload; `packError` is the server's
+// reason for rejecting an imported pack.
+export default function PrivateRoom({ room, onOptions, onStart, onLeave, onImportPack, packError }) {
+  const [copied, setCopied] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef();
+  const isHost = room.youAre === 0;
+  const links = [
+    { label: "Invite link", url: inviteLink(room.code) },
+    { label: "Spectator link", url: inviteLink(room.code, "watch") },
+  ];
+
+  async function copyLink(url) {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(url);
+    } catch {
+      setCopied(null);
+    }
+  }
+
+  async function importPack(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onImportPack(parsePromptPack(await file.text()));
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  }
+
+  return (
+    <div style={{ fontFamily: "Inter,sans-serif" }}>
+      <h1 style={{ fontWeight: 500, fontSize: 22, color: TEXT1, letterSpacing: 0.5, marginBottom: 7 }}>
+        Private Room <span style={{ color: ACCENT, letterSpacing: 2 }}>{room.code}</span>
+      </h1>
+      <div style={{ fontSize: 15, color: TEXT2, marginBottom: 10 }}>
+        Share this link with a friend to play together! Private matches are unranked.
+      </div>
+      {links.map(({ label, url }) => (
+        <div key={label} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+          <span style={{ fontSize: 13, color: TEXT2, width: 96 }}>{label}</span>
+          <input
+            readOnly
+            aria-label={label}
+            value={url}
+            onFocus={(e) => e.target.select()}
+            style={{ ...selectStyle, flex: 1, minWidth: 240, padding: "6px 8px" }}
+          />
+          <button style={{ ...buttonStyle, fontSize: 14, padding: "6px 14px" }} onClick={() => copyLink(url)}>
+            {copied === url ? "Copied!" : "Copy"}
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 14, margin: "14px 0", alignItems: "center" }}>
+        {room.players.map((name, i) => (
+          <div key={i} style={{
+            fontSize: 15, fontWeight: 500, color: name ? TEXT1 : ACCENT,
+            background: name ? BG : "#fff", padding: "7px 14px", borderRadius: 9,
+            border: name ? "none" : `1px dashed ${CANVAS_BORDER}`
+          }}>
+            {i === 0 ? "Host" : "Guest"}: {name ?? "waiting…"}
+          </div>
+        ))}
+        <span style={{ fontSize: 14, color: TEXT2 }}>{room.spectators} watching</span>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 14, alignItems: "center", fontSize: 14, color: TEXT2, marginBottom: 18 }}>
+        <label>
+          Draw time{" "}
+          <select
+            style={selectStyle}
+            disabled={!isHost}
+            value={room.options.drawTime}
+            onChange={(e) => onOptions({ drawTime: Number(e.target.value) })}>
+            {room.drawTimes.map((t) => <option key={t} value={t}>{t}s</option>)}
+          </select>
+        </label>
+        <label>
+          Match{" "}
+          <select
+            style={selectStyle}
+            disabled={!isHost}
+            value={room.options.bestOf}
+            onChange={(e) => onOptions({ bestOf: Number(e.target.value) })}>
+            {room.seriesLengths.map((n) => <option key={n} value={n}>{n === 1 ? "Single round" : `Best of ${n}`}</option>)}
+          </select>
+        </label>
+        <label>
+          Prompt pack{" "}
+          <select
+            style={selectStyle}
+            disabled={!isHost}
+            value={room.options.pack}
+            onChange={(e) => onOptions({ pack: e.target.value })}>
+            {room.packs.map((p) => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </label>
+        {isHost &&
+          <>
+            <button style={{ ...buttonStyle, fontSize: 13, padding: "4px 10px", background: "#fff" }} onClick={() => fileRef.current.click()}>
+              Import pack
+            </button>
+            <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importPack} />
+          </>
+        }
+        <label>
+          <input
+            type="checkbox"
+            disabled={!isHost}
+            checked={room.options.audienceCounts}
+            onChange={(e) => onOptions({ audienceCounts: e.target.checked })}
+          />{" "}
+          Audience vote counts
+        </label>
+      </div>
+      {(importError || packError) &&
+        <div style={{ color: LOSE, fontSize: 13, marginTop: -10, marginBottom: 12 }}>{importError || packError}</div>
+      }
+      <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+        {isHost ? (
+          <button style={buttonStyle} disabled={!room.players[1]} onClick={onStart}>Start Match</button>
+        ) : (
+          <span style={{ fontSize: 15, color: TEXT2 }}>Waiting for the host to start…</span>
+        )}
+        <button style={{ ...buttonStyle, background: "#fff" }} onClick={onLeave}>Leave Room</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React from "react";
+import { outcome, profileStats } from "./shared/profile";
+import { strokesToSvg } from "./shared/svg";
+import { ACCENT, BG, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, WIN, LOSE } from "./theme";
+
+const buttonStyle = {
+  fontSize: 13, padding: "4px 12px", borderRadius: 7,
+  background: BTN, color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+const OUTCOME_COLORS = { win: WIN, loss: LOSE, draw: TEXT2 };
+const CHART_W = 440;
+const CHART_H = 120;
+const THUMB_W = 72;
+const THUMB_H = 48;
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+function Thumbnail({ strokes, label }) {
+  const svg = strokesToSvg(strokes, { width: THUMB_W, height: THUMB_H });
+  return (
+    <img
+      src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+      alt={label}
+      width={THUMB_W}
+      height={THUMB_H}
+      style={{ border: `1px solid ${CANVAS_BORDER}`, borderRadius: 4 }}
+    />
+  );
+}
+
+// Rating after each ranked round, oldest on the left.
+function RatingChart({ ratings }) {
+  if (ratings.length < 2) {
+    return <div style={{ fontSize: 13, color: TEXT2 }}>Play a couple of ranked rounds to chart your rating.</div>;
+  }
+  const values = ratings.map((r) => r.rating);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = Math.max(1, max - min);
+  const points = values.map((v, i) => [
+    (i / (values.length - 1)) * CHART_W,
+    CHART_H - 8 - ((v - min) / span) * (CHART_H - 16),
+  ]);
+  return (
+    <svg role="img" aria-label="Rating over time" width={CHART_W} height={CHART_H} style={{ background: BG, borderRadius: 8 }}>
+      <polyline points={points.map((p) => p.join(",")).join(" ")} fill="none" stroke={ACCENT} strokeWidth={2.5} />
+      <text x={4} y={14} fontSize={11} fill={TEXT2}>{max}</text>
+      <text x={4} y={CHART_H - 4} fontSize={11} fill={TEXT2}>{min}</text>
+    </svg>
+  );
+}
+
+// The player's stats and match history. `profile` is the server's history
+// payload ({ matches, rating }); `onOpen` shows a past match on the results view.
+export default function ProfileView({ username, profile, onOpen, onBack }) {
+  if (!profile) return <div style={{ color: TEXT2 }}>Loading profile…</div>;
+  const stats = profileStats(profile.matches);
+  return (
+    <div style={{ fontFamily: "Inter,sans-serif", color: TEXT1, maxWidth: 560 }}>
+      <h1 style={{ fontWeight: 500, fontSize: 22, letterSpacing: 0.5, marginBottom: 4 }}>
+        {username} <span style={{ color: ACCENT, fontSize: 16 }}>{profile.rating} MMR</span>
+      </h1>
+      <div style={{ fontSize: 14, color: TEXT2, marginBottom: 12 }}>
+        {stats.played} rounds · {percent(stats.winRate)} win rate · {stats.win} W / {stats.loss} L / {stats.draw} D
+        {stats.favorite && <div>Favorite category: <b>{stats.favorite.category}</b> ({percent(stats.favorite.winRate)})</div>}
+        {stats.worst && <div>Worst category: <b>{stats.worst.category}</b> ({percent(stats.worst.winRate)})</div>}
+      </div>
+      <RatingChart ratings={stats.ratings} />
+      <h2 style={{ fontWeight: 500, fontSize: 17, margin: "16px 0 6px 0" }}>Match history</h2>
+      {profile.matches.length === 0 && <div style={{ fontSize: 14, color: TEXT2 }}>No matches yet.</div>}
+      <div style={{ maxHeight: 320, overflowY: "auto" }}>
+        {[...profile.matches].reverse().map((match) => {
+          const result = outcome(match);
+          return (
+            <div key={match.id} style={{
+              display: "flex", alignItems: "center", gap: 10, padding: "6px 0",
+              borderBottom: `1px solid ${CANVAS_BORDER}`, fontSize: 14
+            }}>
+              <Thumbnail strokes={match.drawings[match.youAre]} label="Your drawing" />
+              <Thumbnail strokes={match.drawings[1 - match.youAre]} label={`${match.opponent}'s drawing`} />
+              <div style={{ flex: 1 }}>
+                <div><b>{match.prompt}</b> vs {match.opponent}{match.bot && " (bot)"}</div>
+                <div style={{ fontSize: 12, color: TEXT2 }}>
+                  {new Date(match.playedAt).toLocaleString()}{!match.ranked && " · unranked"}
+                </div>
+              </div>
+              <div style={{ color: OUTCOME_COLORS[result], fontWeight: 500, textTransform: "capitalize", minWidth: 44 }}>
+                {result}
+                {match.delta !== 0 && <div style={{ fontSize: 12 }}>{match.delta > 0 ? `+${match.delta}` : match.delta}</div>}
+              </div>
+              <button style={buttonStyle} onClick={() => onOpen(match)}>Open</button>
+            </div>
+          );
+        })}
+      </div>
+      <button style={{ ...buttonStyle, fontSize: 15, padding: "8px 22px", marginTop: 16 }} onClick={onBack}>Back</button>
+    </div>
+  );
+}
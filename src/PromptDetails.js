@@ -0,0 +1,31 @@
+import React from "react";
+import { ACCENT, TEXT2, WIN, LOSE } from "./theme";
+
+const DIFFICULTY_COLORS = { easy: WIN, medium: ACCENT, hard: LOSE };
+
+const badgeStyle = {
+  fontSize: 12, fontWeight: 500, padding: "1px 8px", borderRadius: 9,
+  border: "1px solid currentColor", marginLeft: 6, textTransform: "capitalize"
+};
+
+// Category and difficulty badges for the current prompt.
+export default function PromptDetails({ info }) {
+  if (!info) return null;
+  return (
+    <>
+      <span style={{ ...badgeStyle, color: TEXT2 }}>{info.category}</span>
+      <span style={{ ...badgeStyle, color: DIFFICULTY_COLORS[info.difficulty] ?? TEXT2 }}>{info.difficulty}</span>
+    </>
+  );
+}
+
+// The prompt's extra rule, with the strokes left when it limits them.
+export function PromptConstraint({ info, strokesLeft }) {
+  if (!info?.constraint) return null;
+  return (
+    <div style={{ fontSize: 14, color: ACCENT, marginTop: 4 }}>
+      {info.constraint}
+      {strokesLeft != null && <span style={{ color: strokesLeft > 0 ? TEXT2 : LOSE }}> · {strokesLeft} left</span>}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from "react";
+import DrawingCanvas from "./DrawingCanvas";
+import { downloadBlob, fileSlug } from "./download";
+import { frameAt, packRecording, parseRecording, recordingLength } from "./shared/recording";
+import { BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, LOSE } from "./theme";
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+const buttonStyle = {
+  fontSize: 14, padding: "5px 14px", borderRadius: 8,
+  background: BTN, color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+function formatTime(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Side-by-side playback of a match recording, with export/import as JSON.
+export default function ReplayViewer({ recording: initial, width, height }) {
+  const [recording, setRecording] = useState(initial);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef();
+  const length = recordingLength(recording);
+
+  const timeRef = useRef(time);
+  timeRef.current = time;
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+    function step(now) {
+      const next = Math.min(length, timeRef.current + (now - last) * speed);
+      last = now;
+      timeRef.current = next;
+      setTime(next);
+      if (next >= length) setPlaying(false);
+      else frame = requestAnimationFrame(step);
+    }
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, length]);
+
+  function togglePlay() {
+    if (!playing && time >= length) setTime(0);
+    setPlaying((p) => !p);
+  }
+
+  function exportRecording() {
+    const blob = new Blob([JSON.stringify(packRecording(recording))], { type: "application/json" });
+    downloadBlob(blob, `art-fighting-${fileSlug(recording.prompt)}-${recording.roundStartTime}.json`);
+  }
+
+  async function importRecording(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setRecording(parseRecording(await file.text()));
+      setImportError(null);
+      setTime(0);
+      setPlaying(false);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  }
+
+  return (
+    <div>
+      <div style={{ fontSize: 15, margin: 8, color: TEXT2 }}>
+        <b>Replay:</b> {recording.prompt}
+      </div>
+      <div style={{ display: "flex", flexDirection: "row", justifyContent: "center", gap: 32 }}>
+        {[0, 1].map((idx) => {
+          const frame = frameAt(recording, idx, time);
+          return (
+            <div key={idx}>
+              <div style={{ fontWeight: 500, marginBottom: 5, color: TEXT1, fontSize: 15 }}>{recording.players[idx]}</div>
+              <DrawingCanvas enabled={false} strokes={frame.strokes} liveStroke={frame.live} width={width} height={height} />
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "center", gap: 10, marginTop: 12 }}>
+        <button style={buttonStyle} onClick={togglePlay}>{playing ? "Pause" : "Play"}</button>
+        <input
+          type="range"
+          aria-label="Replay position"
+          min={0}
+          max={length}
+          step={100}
+          value={time}
+          onChange={(e) => setTime(Number(e.target.value))}
+          style={{ width: 260 }}
+        />
+        <span style={{ fontSize: 13, color: TEXT2, minWidth: 78 }}>{formatTime(time)} / {formatTime(length)}</span>
+        <select
+          aria-label="Replay speed"
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          style={{ ...buttonStyle, padding: "4px 6px" }}>
+          {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+        </select>
+      </div>
+      <div style={{ display: "flex", justifyContent: "center", gap: 10, marginTop: 10 }}>
+        <button style={buttonStyle} onClick={exportRecording}>Export replay</button>
+        <button style={buttonStyle} onClick={() => fileRef.current.click()}>Import replay</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importRecording} />
+      </div>
+      {importError && <div style={{ color: LOSE, fontSize: 13, marginTop: 6 }}>{importError}</div>}
+    </div>
+  );
+}
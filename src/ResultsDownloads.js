@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { downloadBlob, fileSlug } from "./download";
+import { battleCardBlob, pngBlob, svgBlob } from "./exportDrawing";
+import { BTN_TEXT, CANVAS_BORDER, TEXT2, LOSE } from "./theme";
+
+const linkStyle = {
+  fontSize: 13, padding: "4px 10px", borderRadius: 7,
+  background: "#fff", color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+// Download buttons for the results screen. `players` is
+// [{ name, strokes, delta }] in seat order; the battle card needs two.
+export default function ResultsDownloads({ prompt, players, winnerIndex }) {
+  const [error, setError] = useState(null);
+
+  async function save(makeBlob, filename) {
+    try {
+      downloadBlob(await makeBlob(), filename);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const base = fileSlug(prompt);
+  return (
+    <div style={{ marginTop: 14, fontSize: 13, color: TEXT2 }}>
+      <div style={{ display: "flex", justifyContent: "center", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+        {players.map((p, i) => (
+          <span key={i} style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+            {p.name}:
+            <button style={linkStyle} onClick={() => save(async () => svgBlob(p.strokes), `${base}-${fileSlug(p.name)}.svg`)}>SVG</button>
+            <button style={linkStyle} onClick={() => save(() => pngBlob(p.strokes), `${base}-${fileSlug(p.name)}.png`)}>PNG</button>
+          </span>
+        ))}
+        {players.length > 1 &&
+          <button
+            style={linkStyle}
+            onClick={() => save(() => battleCardBlob({ prompt, players, winnerIndex }), `${base}-battle-card.png`)}>
+            Battle Card
+          </button>
+        }
+      </div>
+      {error && <div style={{ color: LOSE, marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
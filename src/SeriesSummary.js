@@ -0,0 +1,51 @@
+import React from "react";
+import { ACCENT, CANVAS_BORDER, TEXT1, TEXT2, WIN, LOSE } from "./theme";
+
+// "Best of 3 · Round 2 · alice 1 – 0 bob" for the draw header.
+// `names` and the series' wins are in seat order.
+export function SeriesScore({ series, names }) {
+  if (!series) return null;
+  return (
+    <span style={{ marginLeft: 16, color: TEXT1 }}>
+      <b>Best of {series.bestOf}</b> · Round {series.round} · {names[0]} {series.wins[0]} – {series.wins[1]} {names[1]}
+    </span>
+  );
+}
+
+// Round-by-round results of a series and, once it's over, who took it.
+export default function SeriesSummary({ series, names, youAre }) {
+  if (!series) return null;
+  let headline;
+  if (series.forfeitedBy != null) {
+    headline = `${names[series.forfeitedBy]} forfeited the series.`;
+  } else if (!series.over) {
+    headline = series.nextRoundIn ? `Next round in ${Math.ceil(series.nextRoundIn / 1000)}s…` : "Next round starting…";
+  } else if (series.winnerIndex === null) {
+    headline = "The series is a draw!";
+  } else {
+    headline = `${names[series.winnerIndex]} wins the series!`;
+  }
+  return (
+    <div style={{
+      margin: "12px auto 0 auto", maxWidth: 520, fontSize: 14, color: TEXT2,
+      border: `1px solid ${CANVAS_BORDER}`, borderRadius: 9, padding: "10px 14px"
+    }}>
+      <div style={{ fontSize: 16, fontWeight: 500, color: series.over && series.winnerIndex !== null
+        ? (series.winnerIndex === youAre ? WIN : LOSE) : TEXT1 }}>
+        {headline}
+      </div>
+      <div style={{ marginTop: 4 }}>
+        Best of {series.bestOf}: {names[0]} {series.wins[0]} – {series.wins[1]} {names[1]}
+      </div>
+      <ol style={{ margin: "6px 0 0 0", paddingLeft: 20, textAlign: "left", display: "inline-block" }}>
+        {series.results.map((r, i) => (
+          <li key={i}>
+            {r.prompt}: <span style={{ color: r.winnerIndex === null ? ACCENT : TEXT1 }}>
+              {r.winnerIndex === null ? "draw" : names[r.winnerIndex]}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
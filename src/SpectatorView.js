@@ -0,0 +1,159 @@
+import React, { useEffect, useReducer, useState } from "react";
+import AudienceVote from "./AudienceVote";
+import DrawingCanvas from "./DrawingCanvas";
+import PromptDetails, { PromptConstraint } from "./PromptDetails";
+import SeriesSummary, { SeriesScore } from "./SeriesSummary";
+import VerdictBreakdown from "./VerdictBreakdown";
+import { EMPTY_CANVAS, applyOp, replayOps } from "./shared/canvas";
+import { decodeStroke, unpackTrack } from "./shared/encoding";
+import { appendLiveStroke } from "./liveStroke";
+import { ACCENT, BG, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, WIN, LOSE } from "./theme";
+
+// Both players' canvases, updated by { player, op } or reset by { reset: [c0, c1] }.
+function canvasesReducer(canvases, action) {
+  if (action.reset) return action.reset;
+  return canvases.map((c, i) => (i === action.player ? applyOp(c, action.op) : c));
+}
+
+const setAt = (pair, idx, value) => pair.map((v, i) => (i === idx ? value : v));
+
+// Read-only view of a private room's matches. The server sends spectators the
+// players' own events with the drawing player's seat as the first argument.
+export default function SpectatorView({ socket, code, width, height, onLeave }) {
+  const [room, setRoom] = useState(null);
+  const [round, setRound] = useState(null);
+  const [canvases, dispatch] = useReducer(canvasesReducer, [EMPTY_CANVAS, EMPTY_CANVAS]);
+  const [live, setLive] = useState([null, null]);
+  const [result, setResult] = useState(null);
+  const [audience, setAudience] = useState(null);
+  const [myVote, setMyVote] = useState(null);
+  const [timer, setTimer] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    socket.on("room-update", setRoom);
+    socket.on("round-start", (data) => {
+      setRound(data);
+      dispatch({ reset: data.history.map((ops) => replayOps(unpackTrack(ops))) });
+      setLive([null, null]);
+      setResult(null);
+      setAudience(null);
+      setMyVote(null);
+    });
+    socket.on("receive-stroke", (player, data) => {
+      setLive((l) => setAt(l, player, null));
+      dispatch({ player, op: { type: "stroke", stroke: decodeStroke(data) } });
+    });
+    socket.on("opponent-stroke-progress", (player, batch) => {
+      setLive((l) => setAt(l, player, appendLiveStroke(l[player], batch)));
+    });
+    socket.on("opponent-stroke-cancel", (player) => setLive((l) => setAt(l, player, null)));
+    socket.on("opponent-erase", (player, { points, radius }) => {
+      dispatch({ player, op: { type: "erase", points, radius } });
+    });
+    socket.on("opponent-undo", (player) => dispatch({ player, op: { type: "undo" } }));
+    socket.on("opponent-redo", (player) => dispatch({ player, op: { type: "redo" } }));
+    socket.on("opponent-clear", (player) => dispatch({ player, op: { type: "clear" } }));
+    socket.on("round-ended", (data) => {
+      setResult(data);
+      setRound((r) => ({ ...r, series: data.series }));
+      setLive([null, null]);
+      setAudience(data.audienceVote && { counts: data.audienceVote.counts, votes: null });
+    });
+    socket.on("audience-result", ({ votes, counts, verdict, winner, winnerIndex }) => {
+      setAudience({ votes, counts });
+      if (counts) setResult((r) => ({ ...r, verdict, winner, winnerIndex }));
+    });
+    socket.on("series-forfeit", ({ series }) => setRound((r) => ({ ...r, series })));
+    socket.on("room-error", ({ message }) => setError(message));
+    socket.on("room-closed", () => setError("The host closed the room."));
+    return () => {
+      socket.off("room-update");
+      socket.off("round-start");
+      socket.off("receive-stroke");
+      socket.off("opponent-stroke-progress");
+      socket.off("opponent-stroke-cancel");
+      socket.off("opponent-erase");
+      socket.off("opponent-undo");
+      socket.off("opponent-redo");
+      socket.off("opponent-clear");
+      socket.off("round-ended");
+      socket.off("audience-result");
+      socket.off("series-forfeit");
+      socket.off("room-error");
+      socket.off("room-closed");
+    };
+  }, [socket]);
+
+  useEffect(() => {
+    if (!round || result) return;
+    function tick() {
+      setTimer(Math.max(0, Math.ceil(round.timer - (Date.now() - round.roundStartTime) / 1000)));
+    }
+    tick();
+    const id = setInterval(tick, 200);
+    return () => clearInterval(id);
+  }, [round, result]);
+
+  function vote(player) {
+    setMyVote(player);
+    socket.emit("vote", { player });
+  }
+
+  const names = round?.players ?? room?.players ?? [];
+  const forfeited = round?.series?.forfeitedBy != null;
+  let status;
+  if (error) status = <span style={{ color: LOSE }}>{error}</span>;
+  else if (!round) status = "Waiting for the match to start…";
+  else {
+    status = (
+      <>
+        <b>Prompt:</b> {round.prompt}
+        <PromptDetails info={round.promptInfo} />
+        {!result && !forfeited && <span style={{ marginLeft: 16, color: ACCENT }}><b>Time left:</b> {timer}s</span>}
+        <SeriesScore series={round.series} names={names} />
+        <PromptConstraint info={round.promptInfo} />
+      </>
+    );
+  }
+
+  return (
+    <div style={{ minHeight: "100vh", background: BG, fontFamily: "Inter,sans-serif", textAlign: "center" }}>
+      <div style={{ padding: "12px 0 4px 0", fontWeight: 500, fontSize: 21, color: TEXT1, letterSpacing: 0.7 }}>
+        Art Fighting <span style={{ fontSize: 15, color: ACCENT }}>· spectating room {code}</span>
+      </div>
+      <div style={{ fontSize: 14, color: TEXT2, marginBottom: 6 }}>
+        {room ? `${room.spectators} watching` : "Connecting…"}
+      </div>
+      <div style={{ fontSize: 16, color: TEXT2, marginBottom: 8 }}>{status}</div>
+      {round &&
+        <div style={{ display: "flex", justifyContent: "center", gap: 24 }}>
+          {[0, 1].map((i) => (
+            <div key={i}>
+              <div style={{ fontWeight: 500, marginBottom: 6, fontSize: 16, color: result?.winnerIndex === i ? WIN : TEXT1 }}>
+                {result?.winnerIndex === i && "🏆 "}{names[i]}
+              </div>
+              <DrawingCanvas enabled={false} strokes={canvases[i].strokes} liveStroke={live[i]} width={width} height={height} />
+            </div>
+          ))}
+        </div>
+      }
+      {result &&
+        <div style={{ maxWidth: 620, margin: "0 auto" }}>
+          <div style={{ fontSize: 17, marginTop: 12, color: TEXT1 }}>
+            {result.verdict.draw ? <b>It's a draw!</b> : <><b>Winner:</b> {result.winner}</>}
+          </div>
+          <VerdictBreakdown verdict={result.verdict} names={names} />
+          <AudienceVote audience={audience} names={names} onVote={vote} myVote={myVote} />
+        </div>
+      }
+      {(result || forfeited) && <SeriesSummary series={round.series} names={names} />}
+      <button style={{
+        marginTop: 18, fontSize: 15, padding: "8px 22px", borderRadius: 9,
+        background: BTN, color: BTN_TEXT, fontWeight: 500, border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+      }} onClick={onLeave}>
+        Stop Watching
+      </button>
+    </div>
+  );
+}
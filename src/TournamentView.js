@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { ACCENT, BG, BTN, BTN_TEXT, CANVAS_BORDER, TEXT1, TEXT2, WIN, LOSE } from "./theme";
+
+const buttonStyle = {
+  fontSize: 15, padding: "8px 22px", borderRadius: 9,
+  background: BTN, color: BTN_TEXT, fontWeight: 500,
+  border: `1px solid ${CANVAS_BORDER}`, cursor: "pointer"
+};
+
+const BRACKET_TITLES = { winners: "Winners bracket", losers: "Losers bracket", final: "Grand final" };
+
+function inviteLink(code) {
+  return `${window.location.origin}${window.location.pathname}?tournament=${code}`;
+}
+
+// Matches grouped by bracket, then by round, in play order.
+function columns(matches) {
+  const groups = [];
+  for (const match of matches) {
+    let group = groups.find((g) => g.bracket === match.bracket);
+    if (!group) groups.push(group = { bracket: match.bracket, rounds: [] });
+    (group.rounds[match.round - 1] ??= []).push(match);
+  }
+  return groups;
+}
+
+function MatchBox({ match, players, youAre }) {
+  const label = (idx) => (idx === null ? "TBD" : idx === -1 ? "bye" : players[idx].name);
+  return (
+    <div style={{
+      border: `1px solid ${match.live ? ACCENT : CANVAS_BORDER}`, borderRadius: 7,
+      background: "#fff", padding: "4px 8px", minWidth: 120, fontSize: 13, marginBottom: 8
+    }}>
+      {match.players.map((idx, i) => (
+        <div key={i} style={{
+          color: match.winner !== null && match.winner === idx ? WIN : idx === null || idx === -1 ? TEXT2 : TEXT1,
+          fontWeight: idx === youAre ? 600 : 400
+        }}>
+          {label(idx)}
+        </div>
+      ))}
+      {match.live && <div style={{ color: ACCENT, fontSize: 11 }}>drawing now</div>}
+    </div>
+  );
+}
+
+// Tournament lobby and live bracket. `tournament` is the server's
+// tournament-update payload.
+export default function TournamentView({ tournament: t, onOptions, onStart, onLeave, error }) {
+  const [copied, setCopied] = useState(false);
+  const link = inviteLink(t.code);
+  const playing = t.youAre !== -1;
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  }
+
+  let status;
+  if (t.champion !== null) status = <span style={{ color: WIN }}>🏆 {t.players[t.champion].name} wins the tournament!</span>;
+  else if (!t.started) status = `Waiting for players (${t.players.length}/${t.maxPlayers})…`;
+  else if (playing && t.players[t.youAre].eliminated) status = "You're out — follow the rest of the bracket here.";
+  else status = "Your next match starts as soon as both players are ready.";
+
+  return (
+    <div style={{ fontFamily: "Inter,sans-serif" }}>
+      <h1 style={{ fontWeight: 500, fontSize: 22, color: TEXT1, letterSpacing: 0.5, marginBottom: 4 }}>
+        Tournament <span style={{ color: ACCENT, letterSpacing: 2 }}>{t.code}</span>
+      </h1>
+      <div style={{ fontSize: 14, color: TEXT2, marginBottom: 10 }}>
+        {t.format === "double" ? "Double" : "Single"} elimination · organized by {t.organizer}
+      </div>
+      <div style={{ fontSize: 15, color: TEXT1, marginBottom: 12 }}>{status}</div>
+
+      {!t.started &&
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
+          <input
+            readOnly
+            aria-label="Tournament link"
+            value={link}
+            onFocus={(e) => e.target.select()}
+            style={{ fontSize: 14, flex: 1, minWidth: 240, padding: "6px 8px", borderRadius: 7, border: `1px solid ${CANVAS_BORDER}` }}
+          />
+          <button style={{ ...buttonStyle, fontSize: 14, padding: "6px 14px" }} onClick={copyLink}>
+            {copied ? "Copied!" : "Copy"}
+          </button>
+        </div>
+      }
+
+      {!t.started && t.isOrganizer &&
+        <div style={{ display: "flex", gap: 14, alignItems: "center", fontSize: 14, color: TEXT2, marginBottom: 12 }}>
+          <label>
+            Format{" "}
+            <select
+              value={t.format}
+              onChange={(e) => onOptions({ format: e.target.value })}
+              style={{ fontSize: 14, padding: "4px 6px", borderRadius: 7, border: `1px solid ${CANVAS_BORDER}` }}>
+              <option value="single">Single elimination</option>
+              <option value="double">Double elimination</option>
+            </select>
+          </label>
+          <label>
+            <input type="checkbox" checked={playing} onChange={(e) => onOptions({ play: e.target.checked })} />{" "}
+            I'm playing too
+          </label>
+        </div>
+      }
+
+      {!t.started ? (
+        <ol style={{ fontSize: 14, color: TEXT1, margin: "0 0 14px 0", paddingLeft: 22 }}>
+          {t.players.map((p, i) => (
+            <li key={i} style={{ fontWeight: i === t.youAre ? 600 : 400 }}>
+              {p.name} <span style={{ color: TEXT2 }}>({p.rating} MMR)</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 12, marginBottom: 14, overflowX: "auto" }}>
+          {columns(t.matches).map((group) => (
+            <div key={group.bracket}>
+              <div style={{ fontSize: 13, color: TEXT2, marginBottom: 6 }}>{BRACKET_TITLES[group.bracket]}</div>
+              <div style={{ display: "flex", gap: 14, alignItems: "center", background: BG, padding: 8, borderRadius: 9 }}>
+                {group.rounds.map((round, r) => (
+                  <div key={r}>
+                    {round.map((match) => <MatchBox key={match.id} match={match} players={t.players} youAre={t.youAre} />)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <div style={{ color: LOSE, fontSize: 13, marginBottom: 10 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 10 }}>
+        {!t.started && t.isOrganizer &&
+          <button style={buttonStyle} disabled={t.players.length < t.minPlayers} onClick={onStart}>
+            Start Tournament
+          </button>
+        }
+        <button style={{ ...buttonStyle, background: "#fff" }} onClick={onLeave}>
+          {t.started && t.champion === null && playing && !t.players[t.youAre].eliminated ? "Withdraw" : "Leave"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { TEXT1, TEXT2, WIN, CANVAS_BORDER } from "./theme";
+
+// Per-player scores, the margin and the judge's reason for the result.
+// `names` and the verdict's scores are in seat order.
+export default function VerdictBreakdown({ verdict, names }) {
+  if (!verdict) return null;
+  return (
+    <div style={{
+      margin: "12px auto 0 auto", maxWidth: 520, fontSize: 14, color: TEXT2,
+      border: `1px solid ${CANVAS_BORDER}`, borderRadius: 9, padding: "10px 14px"
+    }}>
+      <div style={{ display: "flex", justifyContent: "center", gap: 28 }}>
+        {verdict.scores.map((score, i) => (
+          <div key={i} style={{ color: verdict.winnerIndex === i ? WIN : TEXT1, fontWeight: 500 }}>
+            {names[i]}: {score.toFixed(3)}
+          </div>
+        ))}
+        <div>Margin: {verdict.margin.toFixed(3)}</div>
+      </div>
+      <div style={{ marginTop: 6 }}>{verdict.reason}</div>
+      <div style={{ marginTop: 4, fontSize: 12 }}>Judge: {verdict.judge}</div>
+    </div>
+  );
+}
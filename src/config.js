@@ -0,0 +1,4 @@
+// src/config.js
+// Set REACT_APP_SERVER_URL (e.g. in .env.local) to point the client at a
+// deployed game server; `npm run server` listens on the default below.
+export const SERVER_URL = process.env.REACT_APP_SERVER_URL || "http://localhost:3001";
@@ -0,0 +1,97 @@
+// src/exportDrawing.js
+// Turns finished drawings into downloadable SVG/PNG files and a battle card.
+import { strokesToSvg } from "./shared/svg";
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from "./shared/strokes";
+import { BG, CANVAS_BORDER, TEXT1, TEXT2, WIN, LOSE } from "./theme";
+
+const CARD_W = 1200;
+const CARD_H = 720;
+const CARD_FONT = "Inter, sans-serif";
+
+export function svgBlob(strokes) {
+  return new Blob([strokesToSvg(strokes)], { type: "image/svg+xml" });
+}
+
+function loadSvgImage(strokes, width, height) {
+  const url = URL.createObjectURL(new Blob([strokesToSvg(strokes, { width, height })], { type: "image/svg+xml" }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render drawing"));
+    };
+    img.src = url;
+  });
+}
+
+function canvasBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not encode PNG"))), "image/png");
+  });
+}
+
+export async function pngBlob(strokes, scale = 1) {
+  const width = CANVAS_WIDTH * scale;
+  const height = CANVAS_HEIGHT * scale;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(await loadSvgImage(strokes, width, height), 0, 0);
+  return canvasBlob(canvas);
+}
+
+function fitText(ctx, text, maxWidth) {
+  let out = String(text);
+  while (out.length > 1 && ctx.measureText(out).width > maxWidth) out = out.slice(0, -2) + "…";
+  return out;
+}
+
+// A single shareable image: prompt, both drawings with player names, the
+// winner and each player's rating change.
+// `players` is [{ name, strokes, delta }] in seat order.
+export async function battleCardBlob({ prompt, players, winnerIndex }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = CARD_W;
+  canvas.height = CARD_H;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = BG;
+  ctx.fillRect(0, 0, CARD_W, CARD_H);
+  ctx.textAlign = "center";
+  ctx.fillStyle = TEXT1;
+  ctx.font = `500 40px ${CARD_FONT}`;
+  ctx.fillText("Art Fighting", CARD_W / 2, 64);
+  ctx.fillStyle = TEXT2;
+  ctx.font = `400 26px ${CARD_FONT}`;
+  ctx.fillText(fitText(ctx, `Prompt: ${prompt}`, CARD_W - 80), CARD_W / 2, 108);
+
+  const drawW = 540;
+  const drawH = drawW * (CANVAS_HEIGHT / CANVAS_WIDTH);
+  const top = 140;
+  const images = await Promise.all(players.map((p) => loadSvgImage(p.strokes, drawW, drawH)));
+
+  players.forEach((player, i) => {
+    const left = 40 + i * (drawW + 40);
+    const won = i === winnerIndex;
+    ctx.strokeStyle = won ? WIN : CANVAS_BORDER;
+    ctx.lineWidth = won ? 6 : 2;
+    ctx.strokeRect(left - 3, top - 3, drawW + 6, drawH + 6);
+    ctx.drawImage(images[i], left, top, drawW, drawH);
+
+    const cx = left + drawW / 2;
+    ctx.fillStyle = won ? WIN : TEXT1;
+    ctx.font = `500 28px ${CARD_FONT}`;
+    ctx.fillText(fitText(ctx, `${won ? "🏆 " : ""}${player.name}`, drawW), cx, top + drawH + 48);
+    if (player.delta != null) {
+      ctx.fillStyle = player.delta >= 0 ? WIN : LOSE;
+      ctx.font = `500 24px ${CARD_FONT}`;
+      ctx.fillText(`${player.delta >= 0 ? "+" : ""}${player.delta} MMR`, cx, top + drawH + 84);
+    }
+  });
+
+  return canvasBlob(canvas);
+}
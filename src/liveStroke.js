@@ -0,0 +1,59 @@
+// src/liveStroke.js
+// Streams the stroke being drawn to the opponent in throttled batches.
+// Each batch carries the points added since the previous one plus the offset
+// of its first point, so the receiver can tell a new stroke (offset 0) from a
+// continuation and drop batches that arrive out of step. Points go out on the
+// same grid as finished strokes (quantizePoint), not as raw floats.
+import { quantizePoint } from "./shared/encoding";
+
+export const LIVE_STROKE_INTERVAL = 50;
+
+export function createLiveStrokeSender(emit, interval = LIVE_STROKE_INTERVAL) {
+  let latest = null;
+  let sent = 0;
+  let timer = null;
+
+  function flush() {
+    if (!latest || latest.points.length <= sent) return;
+    const { points, color, size, opacity } = latest;
+    emit("stroke-progress", { offset: sent, points: points.slice(sent).map(quantizePoint), color, size, opacity });
+    sent = points.length;
+  }
+
+  function tick() {
+    timer = null;
+    if (latest && latest.points.length > sent) {
+      flush();
+      timer = setTimeout(tick, interval);
+    }
+  }
+
+  function reset() {
+    clearTimeout(timer);
+    timer = null;
+    latest = null;
+    sent = 0;
+  }
+
+  return {
+    update(stroke) {
+      latest = stroke;
+      if (timer) return;
+      flush();
+      timer = setTimeout(tick, interval);
+    },
+    // The finished stroke goes out as `send-stroke`, which replaces the live one.
+    commit: reset,
+    cancel() {
+      if (sent > 0) emit("stroke-cancel");
+      reset();
+    },
+  };
+}
+
+// Folds a received batch into the opponent's live stroke.
+export function appendLiveStroke(live, { offset, points, color, size, opacity }) {
+  if (offset === 0) return { points, color, size, opacity };
+  if (!live || live.points.length !== offset) return live;
+  return { ...live, points: [...live.points, ...points] };
+}
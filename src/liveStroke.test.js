@@ -0,0 +1,48 @@
+import { appendLiveStroke, createLiveStrokeSender } from "./liveStroke";
+import { makeStroke } from "./shared/strokes";
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+const grow = (n) => makeStroke(Array.from({ length: n }, (_, i) => [i, i]));
+
+test("sends the first points at once and throttles the rest into batches", () => {
+  const sent = [];
+  const sender = createLiveStrokeSender((event, data) => sent.push([event, data]), 50);
+  sender.update(grow(1));
+  sender.update(grow(2));
+  sender.update(grow(3));
+  expect(sent).toHaveLength(1);
+  jest.advanceTimersByTime(50);
+  expect(sent).toHaveLength(2);
+  expect(sent[1][1]).toMatchObject({ offset: 1, points: [[1, 1], [2, 2]] });
+
+  let live = null;
+  sent.forEach(([, batch]) => { live = appendLiveStroke(live, batch); });
+  expect(live.points).toEqual(grow(3).points);
+});
+
+test("live points go out on the same grid as finished strokes", () => {
+  const sent = [];
+  const sender = createLiveStrokeSender((event, data) => sent.push(data), 50);
+  sender.update(makeStroke([[10.13, 20.9, 0.123], [3.3333, 4.87, 0.5]]));
+  expect(sent[0].points).toEqual([[10.25, 21, 0.12], [3.25, 4.75, 0.5]]);
+});
+
+test("cancelling a streamed stroke tells the opponent, committing does not", () => {
+  const sent = [];
+  const sender = createLiveStrokeSender((event, data) => sent.push(event), 50);
+  sender.update(grow(2));
+  sender.cancel();
+  expect(sent).toEqual(["stroke-progress", "stroke-cancel"]);
+  sender.update(grow(2));
+  sender.commit();
+  jest.advanceTimersByTime(100);
+  expect(sent).toEqual(["stroke-progress", "stroke-cancel", "stroke-progress"]);
+});
+
+test("out-of-step batches are ignored until the next stroke starts", () => {
+  const live = appendLiveStroke(null, { offset: 0, points: [[0, 0]], color: "#000000", size: 4, opacity: 1 });
+  expect(appendLiveStroke(live, { offset: 5, points: [[9, 9]] })).toBe(live);
+  expect(appendLiveStroke(null, { offset: 3, points: [[9, 9]] })).toBe(null);
+});
@@ -0,0 +1,55 @@
+// src/shared/canvas.js
+// A player's canvas as a reducer over drawing ops. The client, the opponent's
+// view and the server all apply the same ops, so every copy stays identical.
+//
+// Ops: { type: "stroke", stroke } | { type: "erase", points, radius }
+//    | { type: "clear" } | { type: "undo" } | { type: "redo" }
+// plus { type: "reset", canvas? }, which swaps in a whole canvas, history
+// included (an empty one by default).
+import { eraseStrokes } from "./strokes.js";
+
+export const HISTORY_LIMIT = 100;
+
+export const EMPTY_CANVAS = { strokes: [], undoStack: [], redoStack: [] };
+
+function commit(canvas, strokes) {
+  if (strokes === canvas.strokes) return canvas;
+  return {
+    strokes,
+    undoStack: [...canvas.undoStack, canvas.strokes].slice(-HISTORY_LIMIT),
+    redoStack: [],
+  };
+}
+
+export function applyOp(canvas, op) {
+  switch (op.type) {
+    case "stroke":
+      return commit(canvas, [...canvas.strokes, op.stroke]);
+    case "erase":
+      return commit(canvas, eraseStrokes(canvas.strokes, op.points, op.radius));
+    case "clear":
+      return canvas.strokes.length ? commit(canvas, []) : canvas;
+    case "undo":
+      if (!canvas.undoStack.length) return canvas;
+      return {
+        strokes: canvas.undoStack[canvas.undoStack.length - 1],
+        undoStack: canvas.undoStack.slice(0, -1),
+        redoStack: [...canvas.redoStack, canvas.strokes],
+      };
+    case "redo":
+      if (!canvas.redoStack.length) return canvas;
+      return {
+        strokes: canvas.redoStack[canvas.redoStack.length - 1],
+        undoStack: [...canvas.undoStack, canvas.strokes],
+        redoStack: canvas.redoStack.slice(0, -1),
+      };
+    case "reset":
+      return op.canvas || EMPTY_CANVAS;
+    default:
+      return canvas;
+  }
+}
+
+export function replayOps(ops, canvas = EMPTY_CANVAS) {
+  return ops.reduce(applyOp, canvas);
+}
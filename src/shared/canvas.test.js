@@ -0,0 +1,40 @@
+import { EMPTY_CANVAS, applyOp } from "./canvas.js";
+import { eraseStrokes, makeStroke } from "./strokes.js";
+
+const line = (y) => makeStroke([[0, y], [25, y], [50, y], [75, y], [100, y]], { color: "#000000", size: 2, opacity: 1 });
+const apply = (ops, canvas = EMPTY_CANVAS) => ops.reduce(applyOp, canvas);
+
+test("undo and redo walk the history of strokes, erases and clears", () => {
+  const a = line(10), b = line(50);
+  let canvas = apply([{ type: "stroke", stroke: a }, { type: "stroke", stroke: b }, { type: "clear" }]);
+  expect(canvas.strokes).toEqual([]);
+  canvas = apply([{ type: "undo" }], canvas);
+  expect(canvas.strokes).toEqual([a, b]);
+  canvas = apply([{ type: "undo" }, { type: "redo" }], canvas);
+  expect(canvas.strokes).toEqual([a, b]);
+  canvas = apply([{ type: "redo" }], canvas);
+  expect(canvas.strokes).toEqual([]);
+});
+
+test("a new edit drops the redo stack", () => {
+  const canvas = apply([{ type: "stroke", stroke: line(10) }, { type: "undo" }, { type: "stroke", stroke: line(50) }]);
+  expect(canvas.redoStack).toEqual([]);
+  expect(apply([{ type: "redo" }], canvas)).toBe(canvas);
+});
+
+test("the eraser splits a stroke it crosses and keeps untouched strokes", () => {
+  const crossed = line(10), untouched = line(90);
+  const out = eraseStrokes([crossed, untouched], [[50, 0], [50, 20]], 5);
+  expect(out).toHaveLength(3);
+  expect(out[0].points).toEqual([[0, 10], [25, 10]]);
+  expect(out[1].points).toEqual([[75, 10], [100, 10]]);
+  expect(out[2]).toBe(untouched);
+});
+
+test("the eraser cuts segments it passes between points", () => {
+  const out = eraseStrokes([line(10)], [[60, 0], [60, 20]], 2);
+  expect(out.map((s) => s.points)).toEqual([
+    [[0, 10], [25, 10], [50, 10]],
+    [[75, 10], [100, 10]],
+  ]);
+});
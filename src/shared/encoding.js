@@ -0,0 +1,185 @@
+// src/shared/encoding.js
+// Compact strokes for the wire and for storage. A finished stroke is
+// simplified (Ramer–Douglas–Peucker, with a tolerance that grows with the
+// brush, so the dropped detail stays well inside the stroke's own width) and
+// its coordinates quantized to 1/COORD_SCALE of a canvas unit (compactStroke).
+// It then travels as bytes (encodeStroke):
+//
+//   version, r, g, b, opacity * 100, varint size * COORD_SCALE,
+//   varint point count, then zigzag varints: the first point's x and y,
+//   followed by each point's difference from the one before.
+//
+// That is version 1. Strokes drawn with pen pressure are version 2, where
+// each point's x and y are followed by a byte of pressure * 100.
+//
+// `send-stroke` and `receive-stroke` carry those bytes. Recordings, match
+// history and the bot's drawings are JSON, so there strokes are the same
+// bytes as base64 strings (see packStrokes and packTrack).
+
+export const ENCODING_VERSION = 1;
+export const PRESSURE_ENCODING_VERSION = 2;
+// Quantization steps per canvas unit. Screens rarely show more than two
+// pixels per unit, so a quarter unit is finer than anything visible.
+export const COORD_SCALE = 4;
+// RDP tolerance as a fraction of the brush size.
+export const SIMPLIFY_RATIO = 0.1;
+
+// Distance from p to the line through a and b. A third coordinate (pressure)
+// counts as a third dimension, `zScale` canvas units per unit.
+function distToLine(p, a, b, zScale) {
+  const d = [b[0] - a[0], b[1] - a[1], ((b[2] ?? 0) - (a[2] ?? 0)) * zScale];
+  const v = [p[0] - a[0], p[1] - a[1], ((p[2] ?? 0) - (a[2] ?? 0)) * zScale];
+  const len = Math.hypot(...d);
+  if (!len) return Math.hypot(...v);
+  return Math.hypot(v[1] * d[2] - v[2] * d[1], v[2] * d[0] - v[0] * d[2], v[0] * d[1] - v[1] * d[0]) / len;
+}
+
+// Ramer–Douglas–Peucker: drops points that lie within `tolerance` of the line
+// between the points kept around them. Endpoints always stay. With `zScale`,
+// points where the pressure swells or fades stay too.
+export function simplifyPoints(points, tolerance, zScale = 0) {
+  if (points.length < 3 || tolerance <= 0) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const spans = [[0, points.length - 1]];
+  while (spans.length) {
+    const [first, last] = spans.pop();
+    let farthest = -1;
+    let maxDist = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const d = distToLine(points[i], points[first], points[last], zScale);
+      if (d > maxDist) {
+        maxDist = d;
+        farthest = i;
+      }
+    }
+    if (farthest === -1) continue;
+    keep[farthest] = 1;
+    spans.push([first, farthest], [farthest, last]);
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+const quantize = (v) => Math.round(v * COORD_SCALE) / COORD_SCALE;
+const quantizePressure = (v) => Math.min(100, Math.max(0, Math.round(v * 100))) / 100;
+
+// A point on the same grid as encoded strokes, pressure to the hundredth.
+export function quantizePoint([x, y, pressure]) {
+  return pressure === undefined ? [quantize(x), quantize(y)] : [quantize(x), quantize(y), quantizePressure(pressure)];
+}
+
+// The stroke as it will look after a round trip through the binary format:
+// simplified, quantized, with consecutive duplicate points dropped. Pressure
+// scales the width by up to the brush size, so that's what it counts for
+// when simplifying.
+export function compactStroke(stroke) {
+  const points = [];
+  simplifyPoints(stroke.points, stroke.size * SIMPLIFY_RATIO, stroke.size).forEach((point) => {
+    const p = quantizePoint(point);
+    const prev = points[points.length - 1];
+    if (!prev || prev[0] !== p[0] || prev[1] !== p[1]) points.push(p);
+  });
+  return { ...stroke, points };
+}
+
+function writeVarint(out, n) {
+  while (n > 0x7f) {
+    out.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  out.push(n);
+}
+
+const zigzag = (n) => (n >= 0 ? n * 2 : -n * 2 - 1);
+const unzigzag = (n) => (n % 2 ? -(n + 1) / 2 : n / 2);
+
+// Packs a stroke into bytes. The coordinates are quantized here, but
+// simplifying is left to compactStroke, which the canvas applies as a stroke
+// is finished so the player's own copy matches everyone else's.
+export function encodeStroke({ points, color, size, opacity }) {
+  const rgb = parseInt(color.slice(1), 16);
+  const pressure = points[0]?.length === 3;
+  const out = [pressure ? PRESSURE_ENCODING_VERSION : ENCODING_VERSION, (rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff, Math.round(opacity * 100)];
+  writeVarint(out, Math.round(size * COORD_SCALE));
+  writeVarint(out, points.length);
+  let x = 0;
+  let y = 0;
+  points.forEach((p) => {
+    const qx = Math.round(p[0] * COORD_SCALE);
+    const qy = Math.round(p[1] * COORD_SCALE);
+    writeVarint(out, zigzag(qx - x));
+    writeVarint(out, zigzag(qy - y));
+    if (pressure) out.push(Math.round(quantizePressure(p[2]) * 100));
+    x = qx;
+    y = qy;
+  });
+  return Uint8Array.from(out);
+}
+
+// Unpacks encodeStroke's bytes (a Uint8Array, Node Buffer or ArrayBuffer).
+// Throws if they aren't a whole stroke.
+export function decodeStroke(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  if (!(bytes instanceof Uint8Array) || bytes.length < 7) throw new Error("Not an encoded stroke");
+  if (bytes[0] !== ENCODING_VERSION && bytes[0] !== PRESSURE_ENCODING_VERSION) {
+    throw new Error("Unsupported stroke encoding");
+  }
+  const pressure = bytes[0] === PRESSURE_ENCODING_VERSION;
+  let pos = 5;
+  function readVarint() {
+    let n = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      if (pos >= bytes.length) throw new Error("Encoded stroke is cut short");
+      const byte = bytes[pos++];
+      n += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) return n;
+    }
+    throw new Error("Encoded stroke has a bad number");
+  }
+  const color = "#" + [bytes[1], bytes[2], bytes[3]].map((b) => b.toString(16).padStart(2, "0")).join("");
+  const opacity = bytes[4] / 100;
+  const size = readVarint() / COORD_SCALE;
+  const count = readVarint();
+  // Every point takes at least two bytes, three with pressure.
+  if (count * (pressure ? 3 : 2) > bytes.length - pos) throw new Error("Encoded stroke is cut short");
+  const points = [];
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < count; i++) {
+    x += unzigzag(readVarint());
+    y += unzigzag(readVarint());
+    if (!pressure) {
+      points.push([x / COORD_SCALE, y / COORD_SCALE]);
+      continue;
+    }
+    if (pos >= bytes.length) throw new Error("Encoded stroke is cut short");
+    points.push([x / COORD_SCALE, y / COORD_SCALE, bytes[pos++] / 100]);
+  }
+  if (pos !== bytes.length) throw new Error("Encoded stroke has trailing bytes");
+  return { points, color, size, opacity };
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Strokes as base64 strings and back. Unpacking leaves plain stroke objects
+// alone, so data saved before strokes were packed still loads.
+export const packStrokes = (strokes) => strokes.map((s) => toBase64(encodeStroke(s)));
+export const unpackStrokes = (packed) => packed.map((s) => (typeof s === "string" ? decodeStroke(fromBase64(s)) : s));
+
+// The same for a track of timed canvas ops (see recording.js): only stroke
+// ops change.
+export const packTrack = (ops) =>
+  ops.map((op) => (op.type === "stroke" ? { ...op, stroke: packStrokes([op.stroke])[0] } : op));
+export const unpackTrack = (ops) =>
+  ops.map((op) => (op.type === "stroke" ? { ...op, stroke: unpackStrokes([op.stroke])[0] } : op));
@@ -0,0 +1,85 @@
+import {
+  COORD_SCALE, ENCODING_VERSION, PRESSURE_ENCODING_VERSION, compactStroke, decodeStroke, encodeStroke, packStrokes, packTrack, simplifyPoints, unpackStrokes, unpackTrack,
+} from "./encoding.js";
+
+// A wobbly hand-drawn line: one point per pointer move, full float precision.
+function scribble(count, size = 6) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const t = i / count;
+    points.push([100 + t * 700 + Math.sin(i * 0.37) * 0.3, 300 + Math.sin(t * 12) * 120 + Math.cos(i * 0.91) * 0.3]);
+  }
+  return { points, color: "#2980b9", size, opacity: 0.8 };
+}
+
+function distToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// How far the original points stray from the simplified line.
+function maxDistance(points, line) {
+  return Math.max(...points.map((p) => Math.min(...line.slice(1).map((q, i) => distToSegment(p, line[i], q)))));
+}
+
+test("simplification drops points along straight runs and keeps corners", () => {
+  const line = [[0, 0], [1, 0.01], [2, 0], [3, 0], [3, 1], [3, 2]];
+  expect(simplifyPoints(line, 0.5)).toEqual([[0, 0], [3, 0], [3, 2]]);
+  expect(simplifyPoints(line, 0)).toBe(line);
+});
+
+test("compacted strokes round-trip exactly and stay within the brush tolerance", () => {
+  const stroke = scribble(600);
+  const compact = compactStroke(stroke);
+  expect(compact.points.length).toBeLessThan(stroke.points.length / 3);
+  expect(decodeStroke(encodeStroke(compact))).toEqual(compact);
+  // Hardly a tenth of the brush width, plus half a quantization step.
+  expect(maxDistance(stroke.points, compact.points)).toBeLessThan(stroke.size * 0.1 + 1 / COORD_SCALE);
+});
+
+test("encoded strokes are a fraction of the JSON size", () => {
+  const stroke = scribble(600);
+  const json = JSON.stringify(stroke).length;
+  const unsimplified = encodeStroke(stroke).length;
+  const encoded = encodeStroke(compactStroke(stroke)).length;
+  expect(unsimplified).toBeLessThan(json / 5);
+  expect(encoded).toBeLessThan(json / 20);
+
+  // Recordings and stored matches carry strokes as base64 text instead.
+  const track = [{ type: "stroke", stroke: compactStroke(stroke), start: 0, t: 5000 }, { type: "undo", t: 6000 }];
+  expect(JSON.stringify(packTrack(track)).length).toBeLessThan(JSON.stringify(track).length / 2);
+  expect(unpackTrack(packTrack(track))).toEqual(track);
+});
+
+test("pen strokes keep their pressure, and where it swells", () => {
+  // A straight line pressed hard in the middle.
+  const points = [];
+  for (let i = 0; i <= 100; i++) points.push([100 + i * 5, 200, 0.2 + 0.6 * Math.sin((i / 100) * Math.PI)]);
+  const compact = compactStroke({ points, color: "#000000", size: 12, opacity: 1 });
+  expect(compact.points.length).toBeGreaterThan(3);
+  expect(compact.points.length).toBeLessThan(30);
+  expect(compact.points.every((p) => p.length === 3)).toBe(true);
+
+  const bytes = encodeStroke(compact);
+  expect(bytes[0]).toBe(PRESSURE_ENCODING_VERSION);
+  expect(decodeStroke(bytes)).toEqual(compact);
+  expect(() => decodeStroke(bytes.slice(0, -1))).toThrow("cut short");
+  // Strokes without pressure are encoded as before.
+  expect(encodeStroke(compactStroke(scribble(50)))[0]).toBe(ENCODING_VERSION);
+});
+
+test("decoding rejects anything that isn't a whole stroke", () => {
+  const bytes = encodeStroke(compactStroke(scribble(50)));
+  expect(decodeStroke(bytes.buffer.slice(0))).toEqual(decodeStroke(bytes));
+  expect(() => decodeStroke(bytes.slice(0, -1))).toThrow("cut short");
+  expect(() => decodeStroke(Uint8Array.from([...bytes, 0]))).toThrow("trailing");
+  expect(() => decodeStroke(Uint8Array.from([9, ...bytes.slice(1)]))).toThrow("Unsupported");
+  expect(() => decodeStroke({ points: [] })).toThrow("Not an encoded stroke");
+});
+
+test("unpacking leaves strokes saved before packing alone", () => {
+  const plain = { points: [[1, 2], [3, 4]], color: "#000000", size: 6, opacity: 1 };
+  expect(unpackStrokes([...packStrokes([plain]), plain])).toEqual([plain, plain]);
+});
@@ -0,0 +1,58 @@
+// src/shared/judges/embedding.js
+// Scores each drawing by the cosine similarity between the prompt's text
+// embedding and the drawing's image embedding.
+//
+// `openai` is an OpenAI SDK client (or anything with `embeddings.create`) and
+// `rasterize(strokes)` turns a drawing into an image data URL; both are passed
+// in so this module runs wherever the caller can provide them. Prompt text
+// embeddings are cached in `textCache` (any Map-like object), since the same
+// prompts come up round after round.
+export function cosine(a, b) {
+  let dot = 0, magA = 0, magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  return magA && magB ? dot / (Math.sqrt(magA) * Math.sqrt(magB)) : 0;
+}
+
+export function createEmbeddingJudge({
+  openai,
+  rasterize,
+  textModel = "text-embedding-3-small",
+  imageModel = "image-embedding-3-small",
+  textCache = new Map(),
+} = {}) {
+  if (!openai || !rasterize) throw new Error("The embedding judge needs an OpenAI client and a rasterizer");
+
+  async function embed(model, input) {
+    const res = await openai.embeddings.create({ model, input });
+    return res.data[0].embedding;
+  }
+
+  function embedText(prompt) {
+    if (!textCache.has(prompt)) {
+      const pending = embed(textModel, prompt);
+      textCache.set(prompt, pending);
+      pending.catch(() => textCache.delete(prompt));
+    }
+    return textCache.get(prompt);
+  }
+
+  return {
+    name: "embedding",
+    // Cosine similarities of unrelated images sit close together, so even
+    // small gaps are meaningful.
+    drawMargin: 0.005,
+    criterion: "looked more like the prompt",
+    async judge({ prompt, drawings }) {
+      const images = await Promise.all(drawings.map(rasterize));
+      const [textEmb, ...imageEmbs] = await Promise.all([
+        embedText(prompt),
+        ...images.map((image) => embed(imageModel, image)),
+      ]);
+      return { scores: imageEmbs.map((emb) => cosine(textEmb, emb)) };
+    },
+  };
+}
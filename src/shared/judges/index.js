@@ -0,0 +1,26 @@
+// src/shared/judges/index.js
+// A judge scores both drawings of a round against the prompt:
+//
+//   judge.judge({ prompt, drawings: [strokes0, strokes1] }) -> Promise<{ scores: [s0, s1] }>
+//
+// Higher is better. Backends are interchangeable and picked by name. Each
+// also says how small a score gap counts as a draw (`drawMargin`) and what a
+// higher score means (`criterion`), which shared/verdict.js uses to explain
+// the result.
+import { createEmbeddingJudge } from "./embedding.js";
+import { createLocalJudge } from "./local.js";
+import { createStubJudge } from "./stub.js";
+
+export { createEmbeddingJudge, createLocalJudge, createStubJudge };
+
+export const JUDGES = {
+  embedding: createEmbeddingJudge,
+  local: createLocalJudge,
+  stub: createStubJudge,
+};
+
+export function createJudge(name, options) {
+  const factory = JUDGES[name];
+  if (!factory) throw new Error(`Unknown judge "${name}" (expected one of: ${Object.keys(JUDGES).join(", ")})`);
+  return factory(options);
+}
@@ -0,0 +1,40 @@
+import { createJudge, createEmbeddingJudge } from "./index.js";
+import { scoreDrawing } from "./local.js";
+
+const line = (x0, y0, x1, y1, color = "#000000") => ({
+  points: [[x0, y0], [(x0 + x1) / 2, (y0 + y1) / 2], [x1, y1]], color, size: 6, opacity: 1,
+});
+
+const scribble = [line(10, 10, 900, 600), line(900, 10, 10, 600, "#c0392b"), line(480, 0, 480, 640, "#2980b9")];
+const doodle = [line(100, 100, 140, 120)];
+
+test("the local judge is deterministic and rewards fuller drawings", async () => {
+  const judge = createJudge("local");
+  const first = await judge.judge({ prompt: "cat", drawings: [scribble, doodle] });
+  const again = await judge.judge({ prompt: "cat", drawings: [scribble, doodle] });
+  expect(again).toEqual(first);
+  expect(first.scores[0]).toBeGreaterThan(first.scores[1]);
+  expect(scoreDrawing([])).toBe(0);
+});
+
+test("the stub judge returns whatever it was given", async () => {
+  const judge = createJudge("stub", { scores: [0.2, 0.9] });
+  expect(await judge.judge({ prompt: "cat", drawings: [[], []] })).toEqual({ scores: [0.2, 0.9] });
+});
+
+test("the embedding judge compares each image with the prompt text", async () => {
+  const vectors = { cat: [1, 0], "img:a": [1, 0.1], "img:b": [0, 1] };
+  const openai = {
+    embeddings: { create: async ({ input }) => ({ data: [{ embedding: vectors[input] }] }) },
+  };
+  const judge = createEmbeddingJudge({ openai, rasterize: async (strokes) => `img:${strokes.id}` });
+  const a = Object.assign([], { id: "a" });
+  const b = Object.assign([], { id: "b" });
+  const { scores } = await judge.judge({ prompt: "cat", drawings: [a, b] });
+  expect(scores[0]).toBeGreaterThan(0.99);
+  expect(scores[1]).toBe(0);
+});
+
+test("unknown judges are rejected by name", () => {
+  expect(() => createJudge("oracle")).toThrow('Unknown judge "oracle"');
+});
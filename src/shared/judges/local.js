@@ -0,0 +1,46 @@
+// src/shared/judges/local.js
+// Offline, deterministic judge. It cannot see what was drawn, so it rewards
+// effort instead: how much of the canvas is used, how many strokes went into
+// it, how much ink and how many colors. Same strokes always score the same.
+import { CANVAS_WIDTH, CANVAS_HEIGHT } from "../strokes.js";
+
+const GRID = 16;
+
+const saturate = (value, scale) => 1 - Math.exp(-value / scale);
+
+export function scoreDrawing(strokes) {
+  if (!strokes.length) return 0;
+  const cells = new Set();
+  const colors = new Set();
+  let ink = 0;
+  strokes.forEach((stroke) => {
+    colors.add(stroke.color);
+    stroke.points.forEach(([x, y], i) => {
+      const cx = Math.min(GRID - 1, Math.max(0, Math.floor((x / CANVAS_WIDTH) * GRID)));
+      const cy = Math.min(GRID - 1, Math.max(0, Math.floor((y / CANVAS_HEIGHT) * GRID)));
+      cells.add(cy * GRID + cx);
+      if (i > 0) {
+        const [px, py] = stroke.points[i - 1];
+        ink += Math.hypot(x - px, y - py) * stroke.size;
+      }
+    });
+  });
+  const coverage = cells.size / (GRID * GRID);
+  return (
+    0.45 * saturate(coverage, 0.2) +
+    0.25 * saturate(strokes.length, 15) +
+    0.2 * saturate(ink, 60000) +
+    0.1 * saturate(colors.size - 1, 2)
+  );
+}
+
+export function createLocalJudge() {
+  return {
+    name: "local",
+    drawMargin: 0.02,
+    criterion: "covered more of the canvas with more work",
+    async judge({ drawings }) {
+      return { scores: drawings.map(scoreDrawing) };
+    },
+  };
+}
@@ -0,0 +1,12 @@
+// src/shared/judges/stub.js
+// Fixed verdicts for tests. `scores` may be a pair or a function of the round.
+export function createStubJudge({ scores = [0.5, 0.5] } = {}) {
+  return {
+    name: "stub",
+    drawMargin: 0,
+    criterion: "scored higher",
+    async judge(round) {
+      return { scores: typeof scores === "function" ? scores(round) : scores };
+    },
+  };
+}
@@ -0,0 +1,45 @@
+// src/shared/profile.js
+// Profile numbers from a player's match history (see server/history.js).
+// A round counts as a win, loss or draw from the player's own seat.
+
+export function outcome(match) {
+  if (match.winnerIndex === null || match.winnerIndex === undefined) return "draw";
+  return match.winnerIndex === match.youAre ? "win" : "loss";
+}
+
+// Categories need this many rounds before they can be a favorite or worst.
+export const MIN_CATEGORY_ROUNDS = 2;
+
+function tally(matches) {
+  const counts = { played: matches.length, win: 0, loss: 0, draw: 0 };
+  matches.forEach((m) => counts[outcome(m)]++);
+  // Draws count as half a win.
+  counts.winRate = counts.played ? (counts.win + counts.draw / 2) / counts.played : 0;
+  return counts;
+}
+
+// { played, win, loss, draw, winRate, ratings, categories, favorite, worst }
+// `ratings` is [{ playedAt, rating }] for ranked rounds, oldest first.
+// `categories` is sorted by win rate, best first; `favorite` and `worst` are
+// its ends among categories with enough rounds (null if none qualify, and
+// `worst` only when it differs from `favorite`).
+export function profileStats(matches) {
+  const byCategory = new Map();
+  matches.forEach((m) => {
+    const category = m.promptInfo?.category ?? "misc";
+    byCategory.set(category, [...(byCategory.get(category) ?? []), m]);
+  });
+  const categories = [...byCategory]
+    .map(([category, list]) => ({ category, ...tally(list) }))
+    .sort((a, b) => b.winRate - a.winRate || b.played - a.played);
+  const ranked = categories.filter((c) => c.played >= MIN_CATEGORY_ROUNDS);
+  const favorite = ranked[0] ?? null;
+  const worst = ranked.length > 1 ? ranked[ranked.length - 1] : null;
+  return {
+    ...tally(matches),
+    ratings: matches.filter((m) => m.ranked).map(({ playedAt, rating }) => ({ playedAt, rating })),
+    categories,
+    favorite,
+    worst,
+  };
+}
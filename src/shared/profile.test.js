@@ -0,0 +1,34 @@
+import { outcome, profileStats } from "./profile.js";
+
+const match = (category, winnerIndex, extra = {}) => ({
+  promptInfo: { category }, youAre: 0, winnerIndex, ranked: true, playedAt: 0, rating: 1000, ...extra,
+});
+
+test("outcomes are taken from the player's own seat", () => {
+  expect(outcome(match("food", 0))).toBe("win");
+  expect(outcome(match("food", 0, { youAre: 1 }))).toBe("loss");
+  expect(outcome(match("food", null))).toBe("draw");
+});
+
+test("win rate, rating history and best and worst categories", () => {
+  const stats = profileStats([
+    match("food", 0, { playedAt: 1, rating: 1020 }),
+    match("food", 0, { playedAt: 2, rating: 1039 }),
+    match("animals", 1, { playedAt: 3, rating: 1020 }),
+    match("animals", null, { playedAt: 4, rating: 1020 }),
+    match("scenes", 1, { ranked: false }),
+  ]);
+  expect(stats).toMatchObject({ played: 5, win: 2, loss: 2, draw: 1, winRate: 0.5 });
+  expect(stats.ratings.map((r) => r.rating)).toEqual([1020, 1039, 1020, 1020]);
+  expect(stats.categories.map((c) => c.category)).toEqual(["food", "animals", "scenes"]);
+  expect(stats.favorite.category).toBe("food");
+  expect(stats.worst.category).toBe("animals");
+  expect(stats.worst.winRate).toBe(0.25);
+});
+
+test("a short history has no favorite or worst category yet", () => {
+  const stats = profileStats([match("food", 0)]);
+  expect(stats.favorite).toBeNull();
+  expect(stats.worst).toBeNull();
+  expect(profileStats([]).winRate).toBe(0);
+});
@@ -0,0 +1,95 @@
+// src/shared/prompts.js
+// A prompt is what players are asked to draw:
+//
+// { text, category, difficulty, constraint?, maxStrokes? }
+//
+// `constraint` is an extra rule shown to players ("draw it with 5 strokes");
+// when it limits the stroke count, `maxStrokes` lets the game enforce it.
+// Packs are { name, prompts } and can be imported as JSON, where a bare string
+// stands for a medium prompt in the "misc" category.
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+export const MAX_PACK_SIZE = 500;
+
+const MAX_TEXT = 60;
+
+export function normalizePrompt(entry) {
+  if (typeof entry === "string") entry = { text: entry };
+  const text = typeof entry?.text === "string" ? entry.text.trim() : "";
+  if (!text || text.length > MAX_TEXT) throw new Error("Every prompt needs a short text");
+  const prompt = {
+    text,
+    category: typeof entry.category === "string" && entry.category.trim() ? entry.category.trim().toLowerCase() : "misc",
+    difficulty: DIFFICULTIES.includes(entry.difficulty) ? entry.difficulty : "medium",
+  };
+  if (typeof entry.constraint === "string" && entry.constraint.trim()) prompt.constraint = entry.constraint.trim();
+  if (entry.maxStrokes != null) {
+    if (!Number.isInteger(entry.maxStrokes) || entry.maxStrokes < 1) throw new Error(`"${text}" has an invalid maxStrokes`);
+    prompt.maxStrokes = entry.maxStrokes;
+    prompt.constraint ??= `Draw it with at most ${entry.maxStrokes} stroke${entry.maxStrokes === 1 ? "" : "s"}`;
+  }
+  return prompt;
+}
+
+// Checks a pack (parsed JSON or its text); returns it normalized or throws with a reason.
+export function parsePromptPack(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("Not a JSON file");
+    }
+  }
+  const name = typeof data?.name === "string" ? data.name.trim().toLowerCase() : "";
+  if (!name || name.length > 30) throw new Error("The pack needs a short name");
+  if (!Array.isArray(data.prompts) || data.prompts.length === 0) throw new Error("The pack has no prompts");
+  if (data.prompts.length > MAX_PACK_SIZE) throw new Error(`Packs can have at most ${MAX_PACK_SIZE} prompts`);
+  return { name, prompts: data.prompts.map(normalizePrompt) };
+}
+
+// The built-in library, shared so offline modes can pick prompts without a server.
+const p = (text, category, difficulty, extra) => normalizePrompt({ text, category, difficulty, ...extra });
+
+export const PROMPTS = [
+  p("apple", "food", "easy"),
+  p("carrot", "food", "easy"),
+  p("pizza", "food", "easy"),
+  p("ice cream", "food", "medium"),
+  p("sushi", "food", "hard"),
+  p("cat", "animals", "easy"),
+  p("fish", "animals", "easy"),
+  p("owl", "animals", "medium"),
+  p("giraffe", "animals", "medium"),
+  p("octopus", "animals", "hard"),
+  p("umbrella", "objects", "easy"),
+  p("guitar", "objects", "medium"),
+  p("bicycle", "objects", "hard"),
+  p("robot", "objects", "medium"),
+  p("sword", "objects", "easy"),
+  p("house", "scenes", "easy"),
+  p("tree", "scenes", "easy"),
+  p("mountain", "scenes", "easy"),
+  p("castle", "scenes", "medium"),
+  p("beach at sunset", "scenes", "medium"),
+  p("busy city street", "scenes", "hard"),
+  p("rocket", "fantasy", "easy"),
+  p("dragon", "fantasy", "hard"),
+  p("wizard", "fantasy", "medium"),
+  p("cat", "challenge", "hard", { maxStrokes: 5 }),
+  p("house", "challenge", "medium", { maxStrokes: 3 }),
+  p("bicycle", "challenge", "hard", { maxStrokes: 8 }),
+  p("fish", "challenge", "hard", { constraint: "Draw it without lifting your pen", maxStrokes: 1 }),
+];
+
+const inCategory = (...categories) => PROMPTS.filter((prompt) => categories.includes(prompt.category));
+
+// Packs a private room host can pick from. Ranked matches and offline play
+// use "classic".
+export const PROMPT_PACKS = {
+  classic: PROMPTS.filter((prompt) => !prompt.maxStrokes),
+  animals: inCategory("animals"),
+  food: inCategory("food"),
+  objects: inCategory("objects"),
+  scenes: inCategory("scenes"),
+  challenge: inCategory("challenge"),
+};
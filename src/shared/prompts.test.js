@@ -0,0 +1,19 @@
+import { normalizePrompt, parsePromptPack } from "./prompts.js";
+
+test("fills in defaults and spells out stroke limits", () => {
+  expect(normalizePrompt("kite")).toEqual({ text: "kite", category: "misc", difficulty: "medium" });
+  expect(normalizePrompt({ text: "snake", category: "Animals", difficulty: "hard", maxStrokes: 3 })).toEqual({
+    text: "snake", category: "animals", difficulty: "hard", maxStrokes: 3, constraint: "Draw it with at most 3 strokes",
+  });
+});
+
+test("parses packs from JSON text and explains what is wrong", () => {
+  const pack = parsePromptPack(JSON.stringify({ name: "Space", prompts: ["planet", { text: "astronaut", difficulty: "easy" }] }));
+  expect(pack.name).toBe("space");
+  expect(pack.prompts.map((p) => p.text)).toEqual(["planet", "astronaut"]);
+
+  expect(() => parsePromptPack("{")).toThrow("Not a JSON file");
+  expect(() => parsePromptPack({ prompts: ["a"] })).toThrow(/name/);
+  expect(() => parsePromptPack({ name: "x", prompts: [] })).toThrow(/no prompts/);
+  expect(() => parsePromptPack({ name: "x", prompts: [{ text: "a", maxStrokes: 0 }] })).toThrow(/maxStrokes/);
+});
@@ -0,0 +1,89 @@
+// src/shared/recording.js
+// A match recording is both players' canvas ops, each stamped with `t`, the
+// milliseconds since roundStartTime. Committed strokes also carry `start`, when
+// the player put the pen down, so replays can draw them out gradually.
+//
+// { version, prompt, players, roundStartTime, duration, tracks: [ops0, ops1] }
+//
+// Sent or saved, a recording's strokes are packed (see encoding.js); version 1
+// files, from before that, hold plain strokes and still import.
+import { EMPTY_CANVAS, applyOp } from "./canvas.js";
+import { packTrack, unpackTrack } from "./encoding.js";
+
+export const RECORDING_VERSION = 2;
+const READABLE_VERSIONS = [1, 2];
+
+export function createRecording({ prompt, players, roundStartTime, duration, tracks }) {
+  return { version: RECORDING_VERSION, prompt, players, roundStartTime, duration, tracks };
+}
+
+export const packRecording = (recording) => ({ ...recording, tracks: recording.tracks.map(packTrack) });
+export const unpackRecording = (recording) => ({ ...recording, tracks: recording.tracks.map(unpackTrack) });
+
+// Length of the replay in ms: the round clock, or later if ops arrived late.
+export function recordingLength(recording) {
+  const last = Math.max(0, ...recording.tracks.flat().map((op) => op.t));
+  return Math.max(recording.duration * 1000, last);
+}
+
+// Every canvas a track passes through, worked out once per track: the i-th is
+// the canvas after its first i ops.
+const trackStates = new WeakMap();
+function canvasStates(track) {
+  if (!trackStates.has(track)) {
+    const states = [EMPTY_CANVAS];
+    track.forEach((op) => states.push(applyOp(states[states.length - 1], op)));
+    trackStates.set(track, states);
+  }
+  return trackStates.get(track);
+}
+
+// What player `idx`'s canvas looked like `ms` into the round: the committed
+// canvas plus the part of any stroke that was being drawn at that moment.
+// Frames between the same two ops share one strokes array, so a replay only
+// repaints when an op lands.
+export function frameAt(recording, idx, ms) {
+  const track = recording.tracks[idx];
+  // Ops are in time order; `done` counts those at or before `ms`.
+  let done = 0;
+  let hi = track.length;
+  while (done < hi) {
+    const mid = (done + hi) >> 1;
+    if (track[mid].t <= ms) done = mid + 1;
+    else hi = mid;
+  }
+  let live = null;
+  const op = track[done];
+  if (op?.type === "stroke" && op.start != null && op.start <= ms) {
+    const progress = (ms - op.start) / Math.max(1, op.t - op.start);
+    const count = Math.max(1, Math.round(op.stroke.points.length * progress));
+    live = { ...op.stroke, points: op.stroke.points.slice(0, count) };
+  }
+  return { strokes: canvasStates(track)[done].strokes, live };
+}
+
+const isOp = (op) =>
+  op && typeof op.type === "string" && Number.isFinite(op.t) &&
+  (op.type !== "stroke" || typeof op.stroke === "string" || Array.isArray(op.stroke?.points));
+
+// Checks an imported file; returns the recording or throws with a reason.
+export function parseRecording(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (!READABLE_VERSIONS.includes(data?.version)) throw new Error("Unsupported recording version");
+  if (!Array.isArray(data.tracks) || data.tracks.length !== 2 || !data.tracks.every((t) => Array.isArray(t) && t.every(isOp))) {
+    throw new Error("Recording has no valid tracks");
+  }
+  if (!Array.isArray(data.players) || !Number.isFinite(data.duration)) {
+    throw new Error("Recording is missing match details");
+  }
+  try {
+    return { ...unpackRecording(data), version: RECORDING_VERSION };
+  } catch {
+    throw new Error("Recording has no valid tracks");
+  }
+}
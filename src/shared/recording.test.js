@@ -0,0 +1,51 @@
+import { createRecording, frameAt, packRecording, parseRecording, recordingLength } from "./recording.js";
+
+const stroke = (y) => ({ points: [[0, y], [10, y], [20, y], [30, y]], color: "#000000", size: 6, opacity: 1 });
+
+const recording = createRecording({
+  prompt: "apple",
+  players: ["alice", "bob"],
+  roundStartTime: 1000,
+  duration: 60,
+  tracks: [
+    [
+      { type: "stroke", stroke: stroke(10), start: 1000, t: 2000 },
+      { type: "stroke", stroke: stroke(20), start: 3000, t: 5000 },
+      { type: "undo", t: 6000 },
+    ],
+    [{ type: "clear", t: 61500 }],
+  ],
+});
+
+test("frames rebuild the canvas as it was at that moment", () => {
+  expect(frameAt(recording, 0, 500)).toEqual({ strokes: [], live: null });
+  expect(frameAt(recording, 0, 2500).strokes).toEqual([stroke(10)]);
+  expect(frameAt(recording, 0, 5000).strokes).toEqual([stroke(10), stroke(20)]);
+  expect(frameAt(recording, 0, 6000).strokes).toEqual([stroke(10)]);
+});
+
+test("frames between the same two ops share one canvas, erases included", () => {
+  const erasing = { ...recording, tracks: [[...recording.tracks[0], { type: "erase", points: [[0, 10]], radius: 5, t: 7000 }], []] };
+  expect(frameAt(erasing, 0, 7500).strokes).toEqual([{ ...stroke(10), points: stroke(10).points.slice(1) }]);
+  expect(frameAt(erasing, 0, 9000).strokes).toBe(frameAt(erasing, 0, 7500).strokes);
+  expect(frameAt(erasing, 0, 2100).strokes).toBe(frameAt(erasing, 0, 2900).strokes);
+});
+
+test("strokes are drawn out gradually between pen-down and commit", () => {
+  const frame = frameAt(recording, 0, 4000);
+  expect(frame.strokes).toEqual([stroke(10)]);
+  expect(frame.live.points).toEqual(stroke(20).points.slice(0, 2));
+});
+
+test("replay length covers late ops", () => {
+  expect(recordingLength(recording)).toBe(61500);
+});
+
+test("imports round-trip and reject malformed files", () => {
+  expect(parseRecording(JSON.stringify(recording))).toEqual(recording);
+  expect(parseRecording(JSON.stringify(packRecording(recording)))).toEqual(recording);
+  expect(parseRecording(JSON.stringify({ ...recording, version: 1 }))).toEqual(recording);
+  expect(() => parseRecording("nope")).toThrow("Not a JSON file");
+  expect(() => parseRecording(JSON.stringify({ ...recording, version: 99 }))).toThrow("version");
+  expect(() => parseRecording(JSON.stringify({ ...recording, tracks: [[{ type: "stroke", t: 1 }], []] }))).toThrow("tracks");
+});
@@ -0,0 +1,180 @@
+// src/shared/strokes.js
+// Stroke model shared by the client and the game server. A stroke is
+// { points: [[x, y], ...], color, size, opacity }. Strokes drawn with a
+// pressure-sensitive pen carry it on every point instead, as [x, y, pressure]
+// with pressure from 0 to 1; the others have their pressure simulated from
+// the drawing speed.
+//
+// Points and sizes are in a fixed logical space of CANVAS_WIDTH x
+// CANVAS_HEIGHT units, whatever the size of the screen they were drawn on.
+// Canvases map it onto their pixels with an SVG viewBox, which scales the
+// stroke width along with the coordinates.
+import getStroke from "perfect-freehand";
+
+export const CANVAS_WIDTH = 960;
+export const CANVAS_HEIGHT = 640;
+export const CANVAS_ASPECT = CANVAS_WIDTH / CANVAS_HEIGHT;
+
+export const COLORS = [
+  "#000000", "#5b6475", "#c0392b", "#e67e22", "#f1c40f",
+  "#27ae60", "#2980b9", "#8e44ad", "#ff8fab", "#8d6e63",
+];
+export const BRUSH_SIZES = [3, 6, 12, 24];
+export const OPACITIES = [1, 0.8, 0.5, 0.25];
+
+export const DEFAULT_STYLE = { color: "#000000", size: 6, opacity: 0.8 };
+// Points a single stroke may have. The game server refuses longer ones, so
+// canvases stop adding points once a stroke reaches it.
+export const MAX_STROKE_POINTS = 2000;
+// Strokes on one canvas, far more than a round's worth of honest drawing.
+// The server drops strokes past it and canvases stop taking them.
+export const MAX_STROKES = 500;
+
+// Whether the stroke's points carry pen pressure.
+export const hasPressure = (stroke) => stroke.points[0]?.length === 3;
+
+export function makeStroke(points, style = DEFAULT_STYLE) {
+  return { points, color: style.color, size: style.size, opacity: style.opacity };
+}
+
+// Strokes are never changed once made (canvas ops build new ones), so their
+// outlines and paths are worked out once per stroke object and kept.
+const outlines = new WeakMap();
+const svgPaths = new WeakMap();
+
+// The filled outline polygon of a stroke, as perfect-freehand computes it.
+export function getOutline(stroke) {
+  if (!stroke.points.length) return [];
+  if (!outlines.has(stroke)) {
+    outlines.set(stroke, getStroke(stroke.points, {
+      size: stroke.size, thinning: 0.6, smoothing: 0.8, simulatePressure: !hasPressure(stroke),
+    }));
+  }
+  return outlines.get(stroke);
+}
+
+export function getSvgPath(stroke) {
+  if (svgPaths.has(stroke)) return svgPaths.get(stroke);
+  const pts = getOutline(stroke);
+  const path = pts.length
+    ? "M " + pts.map(([x, y], i) => (i === 0 ? `${x} ${y}` : `L ${x} ${y}`)).join(" ")
+    : "";
+  svgPaths.set(stroke, path);
+  return path;
+}
+
+export const ERASER_RADIUS = 15;
+// Points in one eraser pass. Longer drags go out as several passes.
+export const MAX_ERASER_POINTS = 200;
+// Segment tests one eraser pass may cost (see eraseWork). The game server
+// refuses passes over it, so canvases split a drag before it gets there.
+export const MAX_ERASE_WORK = 250000;
+
+function boxOf(points) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  points.forEach(([x, y]) => {
+    box[0] = Math.min(box[0], x);
+    box[1] = Math.min(box[1], y);
+    box[2] = Math.max(box[2], x);
+    box[3] = Math.max(box[3], y);
+  });
+  return box;
+}
+
+const bounds = new WeakMap();
+
+// The box around a stroke's points, [minX, minY, maxX, maxY].
+export function strokeBounds(stroke) {
+  if (!bounds.has(stroke)) bounds.set(stroke, boxOf(stroke.points));
+  return bounds.get(stroke);
+}
+
+// Whether boxes a and b come within `pad` of each other.
+export const boxesMeet = (a, b, pad = 0) =>
+  a[0] - pad <= b[2] && b[0] - pad <= a[2] && a[1] - pad <= b[3] && b[1] - pad <= a[3];
+
+function distToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function segmentsDist(p, q, a, b) {
+  const d1 = cross(a, b, p), d2 = cross(a, b, q);
+  const d3 = cross(p, q, a), d4 = cross(p, q, b);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 0;
+  return Math.min(distToSegment(p, a, b), distToSegment(q, a, b), distToSegment(a, p, q), distToSegment(b, p, q));
+}
+
+// The eraser path's segments with their boxes. A single point is a segment
+// of length zero.
+function eraserSegments(points) {
+  const path = points.length === 1 ? [points[0], points[0]] : points;
+  return path.slice(1).map((b, i) => ({ a: path[i], b, box: boxOf([path[i], b]) }));
+}
+
+// For each stroke, the eraser segments that can reach it (null if none can).
+// Strokes are ruled out by their boxes before any segment is tested.
+function segmentsByStroke(strokes, eraserPoints, radius) {
+  const segments = eraserSegments(eraserPoints);
+  const whole = boxOf(eraserPoints);
+  return strokes.map((stroke) => {
+    const box = strokeBounds(stroke);
+    const reach = radius + stroke.size / 2;
+    if (!boxesMeet(box, whole, reach)) return null;
+    const near = segments.filter((s) => boxesMeet(box, s.box, reach));
+    return near.length ? near : null;
+  });
+}
+
+// How many point-to-segment tests erasing would take: the measure the server
+// caps eraser passes by.
+export function eraseWork(strokes, eraserPoints, radius = ERASER_RADIUS) {
+  if (!eraserPoints.length) return 0;
+  return segmentsByStroke(strokes, eraserPoints, radius)
+    .reduce((work, near, i) => work + (near ? near.length * strokes[i].points.length : 0), 0);
+}
+
+// Removes everything within `radius` of the eraser path. Strokes the eraser
+// crosses are split into the pieces left on either side; untouched strokes
+// are returned as the same objects.
+export function eraseStrokes(strokes, eraserPoints, radius = ERASER_RADIUS) {
+  if (!eraserPoints.length) return strokes;
+  const nearby = segmentsByStroke(strokes, eraserPoints, radius);
+
+  const out = [];
+  strokes.forEach((stroke, si) => {
+    const segments = nearby[si];
+    if (!segments) {
+      out.push(stroke);
+      return;
+    }
+    const pts = stroke.points;
+    const reach = radius + stroke.size / 2;
+    const near = (p, q) => segments.some((s) => segmentsDist(p, q, s.a, s.b) <= reach);
+    const pointHit = pts.map((p) => near(p, p));
+    const edgeHit = pts.map((p, i) => i > 0 && near(pts[i - 1], p));
+    if (!edgeHit.some(Boolean) && !pointHit.some(Boolean)) {
+      out.push(stroke);
+      return;
+    }
+    let run = [];
+    const flush = () => {
+      if (run.length > 1) out.push({ ...stroke, points: run });
+      run = [];
+    };
+    pts.forEach((p, i) => {
+      if (pointHit[i]) return flush();
+      if (edgeHit[i]) flush();
+      run.push(p);
+    });
+    flush();
+  });
+  return out;
+}
@@ -0,0 +1,45 @@
+import {
+  DEFAULT_STYLE, MAX_ERASE_WORK, MAX_ERASER_POINTS, MAX_STROKE_POINTS, eraseStrokes, eraseWork, getSvgPath, makeStroke,
+} from "./strokes.js";
+
+test("makeStroke carries its own style", () => {
+  const stroke = makeStroke([[0, 0], [10, 10]], { color: "#c0392b", size: 16, opacity: 0.5 });
+  expect(stroke).toEqual({ points: [[0, 0], [10, 10]], color: "#c0392b", size: 16, opacity: 0.5 });
+  expect(makeStroke([[1, 1]])).toMatchObject(DEFAULT_STYLE);
+});
+
+test("getSvgPath outline width follows the brush size", () => {
+  const points = [[0, 50], [100, 50]];
+  const spread = (d) => {
+    const ys = d.match(/-?[\d.]+/g).filter((_, i) => i % 2 === 1).map(Number);
+    return Math.max(...ys) - Math.min(...ys);
+  };
+  const thin = spread(getSvgPath(makeStroke(points, { ...DEFAULT_STYLE, size: 2 })));
+  const thick = spread(getSvgPath(makeStroke(points, { ...DEFAULT_STYLE, size: 16 })));
+  expect(thick).toBeGreaterThan(thin * 4);
+  expect(getSvgPath(makeStroke([]))).toBe("");
+});
+
+// A line of `count` points along y, wobbling by a unit.
+const wobble = (y, count) => makeStroke(Array.from({ length: count }, (_, i) => [100 + (i * 800) / count, y + (i % 2)]));
+
+test("erasing only tests strokes within reach, and only the nearby part of the path", () => {
+  const far = [wobble(100, 50), wobble(500, 50)];
+  const crossed = wobble(300, 50);
+  // Down through the crossed line, then off along it, well clear of the others.
+  const eraser = [[500, 250], [500, 350], [900, 350]];
+  expect(eraseWork([...far, crossed], eraser, 10)).toBe(crossed.points.length);
+  const out = eraseStrokes([...far, crossed], eraser, 10);
+  expect(out.slice(0, 2)).toEqual(far);
+  expect(out[0]).toBe(far[0]);
+  expect(out.slice(2)).toHaveLength(2);
+  expect(eraseWork(far, [[500, 300]], 10)).toBe(0);
+});
+
+test("a hostile eraser pass is priced before any erasing", () => {
+  const strokes = Array.from({ length: 5 }, (_, i) => wobble(300 + i, MAX_STROKE_POINTS));
+  const eraser = Array.from({ length: MAX_ERASER_POINTS }, (_, i) => [100 + i * 4, 300]);
+  const start = performance.now();
+  expect(eraseWork(strokes, eraser, 15)).toBeGreaterThan(MAX_ERASE_WORK);
+  expect(performance.now() - start).toBeLessThan(200);
+});
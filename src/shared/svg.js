@@ -0,0 +1,19 @@
+// src/shared/svg.js
+// Standalone SVG documents built from the same outlines the canvases render.
+import { CANVAS_WIDTH, CANVAS_HEIGHT, getSvgPath } from "./strokes.js";
+
+const escapeAttr = (value) => String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+export function strokesToSvg(strokes, { width = CANVAS_WIDTH, height = CANVAS_HEIGHT, background = "#ffffff" } = {}) {
+  const paths = strokes.map((stroke) => {
+    const color = escapeAttr(stroke.color);
+    return `<path d="${getSvgPath(stroke)}" fill="${color}" stroke="${color}" ` +
+      `stroke-linejoin="round" stroke-linecap="round" opacity="${Number(stroke.opacity)}"/>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}">`,
+    background ? `<rect width="${CANVAS_WIDTH}" height="${CANVAS_HEIGHT}" fill="${escapeAttr(background)}"/>` : "",
+    ...paths,
+    "</svg>",
+  ].join("\n");
+}
@@ -0,0 +1,19 @@
+import { strokesToSvg } from "./svg.js";
+import { CANVAS_WIDTH, CANVAS_HEIGHT, getSvgPath } from "./strokes.js";
+
+const stroke = { points: [[10, 10], [200, 120]], color: "#c0392b", size: 12, opacity: 0.5 };
+
+test("exports the same outlines the canvas renders, in logical units", () => {
+  const svg = strokesToSvg([stroke], { width: 480, height: 320 });
+  expect(svg).toContain(`viewBox="0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}"`);
+  expect(svg).toContain('width="480" height="320"');
+  expect(svg).toContain(`d="${getSvgPath(stroke)}"`);
+  expect(svg).toContain('fill="#c0392b"');
+  expect(svg).toContain('opacity="0.5"');
+});
+
+test("escapes attribute values and can skip the background", () => {
+  const svg = strokesToSvg([{ ...stroke, color: '"><script>' }], { background: null });
+  expect(svg).not.toContain("<script>");
+  expect(svg).not.toContain("<rect");
+});
@@ -0,0 +1,50 @@
+// src/shared/verdict.js
+// Turns a judge's raw scores into the verdict players see:
+//
+// { scores, margin, draw, winnerIndex, reason, judge, fallback }
+//
+// `winnerIndex` is null for a draw, which is called whenever the margin is
+// below the judge's `drawMargin`.
+const FALLBACK_NOTES = {
+  error: "The AI judge was unavailable, so this round was judged offline.",
+  "rate-limited": "AI judging limit reached, so this round was judged offline.",
+};
+
+const fmt = (score) => score.toFixed(3);
+
+export function makeVerdict(scores, { players = ["Player 1", "Player 2"], judge = {}, fallback = null } = {}) {
+  const drawMargin = judge.drawMargin ?? 0;
+  const margin = Math.abs(scores[0] - scores[1]);
+  const draw = margin < drawMargin || scores[0] === scores[1];
+  const winnerIndex = draw ? null : scores[0] > scores[1] ? 0 : 1;
+
+  let reason;
+  if (draw) {
+    reason = `Too close to call: ${fmt(scores[0])} vs ${fmt(scores[1])}.`;
+  } else {
+    const loser = 1 - winnerIndex;
+    reason = `${players[winnerIndex]}'s drawing ${judge.criterion || "scored higher"} ` +
+      `(${fmt(scores[winnerIndex])} vs ${fmt(scores[loser])}).`;
+  }
+  if (FALLBACK_NOTES[fallback]) reason += ` ${FALLBACK_NOTES[fallback]}`;
+
+  return { scores, margin, draw, winnerIndex, reason, judge: judge.name || "unknown", fallback };
+}
+
+// Each side's share of a pair of non-negative numbers; an even split when both are 0.
+const shares = ([a, b]) => (a + b > 0 ? [a / (a + b), b / (a + b)] : [0.5, 0.5]);
+
+export const AUDIENCE_WEIGHT = 0.5;
+
+// Blends a judge's verdict with an audience vote ([votes0, votes1]) into a new
+// verdict. Both count as shares of their total, weighted by `weight`.
+export function withAudience(verdict, votes, { players, weight = AUDIENCE_WEIGHT } = {}) {
+  const judged = shares(verdict.scores);
+  const voted = shares(votes);
+  const scores = judged.map((s, i) => (1 - weight) * s + weight * voted[i]);
+  return makeVerdict(scores, {
+    players,
+    judge: { name: `${verdict.judge} + audience`, criterion: "won the judge and the audience together", drawMargin: 0.01 },
+    fallback: verdict.fallback,
+  });
+}
@@ -0,0 +1,29 @@
+import { makeVerdict, withAudience } from "./verdict.js";
+
+const judge = { name: "embedding", drawMargin: 0.01, criterion: "looked more like the prompt" };
+
+test("names the winner with both scores and the margin", () => {
+  const verdict = makeVerdict([0.21, 0.3], { players: ["alice", "bob"], judge });
+  expect(verdict).toMatchObject({ draw: false, winnerIndex: 1, judge: "embedding", fallback: null });
+  expect(verdict.margin).toBeCloseTo(0.09);
+  expect(verdict.reason).toBe("bob's drawing looked more like the prompt (0.300 vs 0.210).");
+});
+
+test("calls a draw below the judge's margin and on exact ties", () => {
+  expect(makeVerdict([0.3, 0.305], { judge })).toMatchObject({ draw: true, winnerIndex: null });
+  expect(makeVerdict([0.5, 0.5], { judge: { name: "stub" } })).toMatchObject({ draw: true, winnerIndex: null });
+});
+
+test("explains when the offline judge stood in", () => {
+  const verdict = makeVerdict([1, 0], { judge: { name: "local" }, fallback: "error" });
+  expect(verdict.reason).toMatch(/judged offline/);
+});
+
+test("blends the audience vote into the verdict", () => {
+  const verdict = makeVerdict([0.6, 0.4], { players: ["alice", "bob"], judge });
+  const overruled = withAudience(verdict, [0, 4], { players: ["alice", "bob"] });
+  expect(overruled).toMatchObject({ winnerIndex: 1, judge: "embedding + audience" });
+  expect(overruled.scores[0]).toBeCloseTo(0.3);
+  expect(withAudience(verdict, [0, 0]).winnerIndex).toBe(0);
+  expect(withAudience(verdict, [2, 2]).winnerIndex).toBe(0);
+});
@@ -0,0 +1,153 @@
+// src/strokeLayer.js
+// Committed strokes baked into a bitmap. A canvas keeps its finished strokes
+// on a <canvas> layer and only draws strokes in progress as SVG on top, so a
+// frame costs the same however much is already on the board. Each update
+// works out what changed: strokes appended since the last one are painted
+// over what's there; anything else (undo, erase, clear) clears just the area
+// the removed and replaced strokes covered and repaints what overlaps it,
+// from the strokes' cached paths.
+import { CANVAS_WIDTH, CANVAS_HEIGHT, boxesMeet, getOutline, getSvgPath, strokeBounds } from "./shared/strokes";
+
+// Browsers without Path2D (and jsdom) keep every stroke in the SVG.
+export const canBakeStrokes = () => typeof Path2D === "function";
+
+// The strokes `next` adds after `prev`, or null if it changes any of them.
+export function appendedStrokes(prev, next) {
+  if (next.length < prev.length) return null;
+  for (let i = 0; i < prev.length; i++) {
+    if (prev[i] !== next[i]) return null;
+  }
+  return next.slice(prev.length);
+}
+
+// Where a stroke can leave paint: its points' box, widened by the brush.
+function paintedArea(stroke) {
+  const [x0, y0, x1, y1] = strokeBounds(stroke);
+  const pad = stroke.size + 2;
+  return [x0 - pad, y0 - pad, x1 + pad, y1 + pad];
+}
+
+// The box around what's in `prev` or `next` but not both, or null.
+export function changedArea(prev, next) {
+  const before = new Set(prev);
+  const after = new Set(next);
+  const changed = [...prev.filter((s) => !after.has(s)), ...next.filter((s) => !before.has(s))];
+  if (!changed.length) return null;
+  return changed.map(paintedArea).reduce((a, b) => [
+    Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3]),
+  ]);
+}
+
+// `paint(stroke, box?)` draws one stroke on the layer, only inside `box` when
+// given; `clear(box?)` wipes the box, or the whole layer. `update` returns
+// how many strokes it painted.
+export function createStrokeLayer({ paint, clear }) {
+  let drawn = [];
+  return {
+    update(strokes) {
+      if (strokes === drawn) return 0;
+      const added = appendedStrokes(drawn, strokes);
+      if (added) {
+        added.forEach((s) => paint(s));
+        drawn = strokes;
+        return added.length;
+      }
+      const box = changedArea(drawn, strokes);
+      drawn = strokes;
+      if (!box) return 0;
+      clear(box);
+      const repainted = strokes.filter((s) => s.points.length && boxesMeet(paintedArea(s), box));
+      repainted.forEach((s) => paint(s, box));
+      return repainted.length;
+    },
+    // After the bitmap itself was resized or lost.
+    reset() {
+      drawn = [];
+      clear();
+    },
+  };
+}
+
+const paths = new WeakMap();
+
+// A stroke's Path2D and the box around it, in logical units.
+function bakedPath(stroke) {
+  if (!paths.has(stroke)) {
+    const outline = getOutline(stroke);
+    const xs = outline.map((p) => p[0]);
+    const ys = outline.map((p) => p[1]);
+    paths.set(stroke, {
+      path: new Path2D(getSvgPath(stroke)),
+      box: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+    });
+  }
+  return paths.get(stroke);
+}
+
+function fillAndStroke(ctx, path, color) {
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  ctx.fill(path);
+  ctx.stroke(path);
+}
+
+// Paints onto `canvas`, whose bitmap is `scale` device pixels per logical unit,
+// the way the SVG paths would look: filled and outlined in the stroke's color.
+export function canvasPainter(canvas, scale) {
+  const ctx = canvas.getContext("2d");
+  // SVG fades the fill and its outline together. Painted straight onto the
+  // layer, the two would overlap into a darker rim, so translucent strokes
+  // go through an opaque scratch copy that is then blended in.
+  const scratch = document.createElement("canvas");
+  scratch.width = canvas.width;
+  scratch.height = canvas.height;
+  const sctx = scratch.getContext("2d");
+  [ctx, sctx].forEach((c) => {
+    c.setTransform(scale, 0, 0, scale, 0, 0);
+    c.lineJoin = "round";
+    c.lineCap = "round";
+    c.lineWidth = 1;
+  });
+
+  // A box as an x, y, width, height rect, grown to whole device pixels so
+  // clearing and repainting it leaves no seams.
+  function pixelRect(box) {
+    const [x0, y0] = [Math.floor(box[0] * scale), Math.floor(box[1] * scale)];
+    const [x1, y1] = [Math.ceil(box[2] * scale), Math.ceil(box[3] * scale)];
+    return [x0 / scale, y0 / scale, (x1 - x0) / scale, (y1 - y0) / scale];
+  }
+
+  function paintStroke(stroke) {
+    const { path, box } = bakedPath(stroke);
+    if (stroke.opacity >= 1) return fillAndStroke(ctx, path, stroke.color);
+    // The stroke's box in device pixels, with room for the outline.
+    const x = Math.max(0, Math.floor(box[0] * scale) - 2);
+    const y = Math.max(0, Math.floor(box[1] * scale) - 2);
+    const w = Math.min(canvas.width, Math.ceil(box[2] * scale) + 2) - x;
+    const h = Math.min(canvas.height, Math.ceil(box[3] * scale) + 2) - y;
+    if (w <= 0 || h <= 0) return;
+    sctx.clearRect(x / scale, y / scale, w / scale, h / scale);
+    fillAndStroke(sctx, path, stroke.color);
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = stroke.opacity;
+    ctx.drawImage(scratch, x, y, w, h, x, y, w, h);
+    ctx.restore();
+  }
+
+  return {
+    paint(stroke, clip) {
+      if (!stroke.points.length) return;
+      if (!clip) return paintStroke(stroke);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(...pixelRect(clip));
+      ctx.clip();
+      paintStroke(stroke);
+      ctx.restore();
+    },
+    clear(box) {
+      ctx.clearRect(...(box ? pixelRect(box) : [0, 0, CANVAS_WIDTH, CANVAS_HEIGHT]));
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import { act, createEvent, fireEvent, render, screen } from "@testing-library/react";
+import getStroke from "perfect-freehand";
+import DrawingCanvas from "./DrawingCanvas";
+import { EMPTY_CANVAS, applyOp } from "./shared/canvas";
+import { getSvgPath, makeStroke } from "./shared/strokes";
+import { appendedStrokes, changedArea, createStrokeLayer } from "./strokeLayer";
+
+// Counts outline computations. The jest config resets mocks before each
+// test, so the real implementation goes back in every time.
+jest.mock("perfect-freehand", () => ({ __esModule: true, default: jest.fn() }));
+beforeEach(() => getStroke.mockImplementation(jest.requireActual("perfect-freehand").default));
+
+const average = (times) => times.reduce((sum, t) => sum + t, 0) / times.length;
+
+// Compares the start of a run of frame times with its end. Generous, so a
+// busy machine doesn't make this flaky; repainting every stroke each frame
+// would be hundreds of times slower by the end.
+function expectFlat(frameTimes) {
+  const early = average(frameTimes.slice(100, 600));
+  const late = average(frameTimes.slice(-500));
+  expect(late).toBeLessThan(early * 4 + 0.05);
+}
+
+// jsdom has neither Path2D nor a 2D context. These stand-ins let the canvas
+// bake its strokes and count what gets painted.
+function fakeBitmaps() {
+  const ctx = { fills: 0 };
+  ["setTransform", "stroke", "clearRect", "drawImage", "save", "restore", "beginPath", "rect", "clip"].forEach((name) => { ctx[name] = () => {}; });
+  ctx.fill = () => ctx.fills++;
+  global.Path2D = class Path2D {};
+  const getContext = jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockImplementation(() => ctx);
+  return {
+    ctx,
+    restore() {
+      getContext.mockRestore();
+      delete global.Path2D;
+    },
+  };
+}
+
+// A short wiggle somewhere on the board, like a typical pen stroke.
+function wiggle(i) {
+  const x = (i * 37) % 900;
+  const y = (i * 53) % 600;
+  return makeStroke([[x, y], [x + 8, y + 5], [x + 15, y - 3], [x + 22, y + 4], [x + 30, y]]);
+}
+
+test("only strokes appended since the last update count as new", () => {
+  const [a, b, c] = [wiggle(1), wiggle(2), wiggle(3)];
+  expect(appendedStrokes([a], [a, b, c])).toEqual([b, c]);
+  expect(appendedStrokes([a, b], [a, b])).toEqual([]);
+  expect(appendedStrokes([a, b], [a])).toBeNull();
+  expect(appendedStrokes([a, b], [a, c, b])).toBeNull();
+});
+
+test("the changed area covers the strokes taken away or put back, brush included", () => {
+  const [a, b] = [makeStroke([[10, 10], [20, 30]]), makeStroke([[100, 50], [120, 40]])];
+  expect(changedArea([a, b], [a, b])).toBeNull();
+  expect(changedArea([a, b], [a])).toEqual([92, 32, 128, 58]);
+  expect(changedArea([a], [b, a])).toEqual([92, 32, 128, 58]);
+  expect(changedArea([a, b], [])).toEqual([2, 2, 128, 58]);
+});
+
+test("undo, erase and clear repaint around what changed; drawing only paints the new stroke", () => {
+  const painted = [];
+  const clears = [];
+  const layer = createStrokeLayer({ paint: (s, box) => painted.push([s, box]), clear: (box) => clears.push(box) });
+  const [a, b, far] = [makeStroke([[10, 10], [40, 10]]), makeStroke([[30, 0], [30, 30]]), makeStroke([[500, 500], [520, 500]])];
+  let canvas = EMPTY_CANVAS;
+  [a, far, b].forEach((stroke) => {
+    canvas = applyOp(canvas, { type: "stroke", stroke });
+    expect(layer.update(canvas.strokes)).toBe(1);
+  });
+  expect(layer.update(canvas.strokes)).toBe(0);
+  // Undoing `b` clears where it was and repaints `a`, which it crossed.
+  canvas = applyOp(canvas, { type: "undo" });
+  expect(layer.update(canvas.strokes)).toBe(1);
+  expect(clears).toEqual([[22, -8, 38, 38]]);
+  expect(painted[3]).toEqual([a, [22, -8, 38, 38]]);
+  canvas = applyOp(canvas, { type: "clear" });
+  expect(layer.update(canvas.strokes)).toBe(0);
+  expect(clears[1]).toEqual([2, 2, 528, 508]);
+  layer.reset();
+  expect(clears[2]).toBeUndefined();
+  expect(painted).toHaveLength(4);
+});
+
+// The layer on its own: its bookkeeping for one more stroke, and for an
+// update with no new strokes, shouldn't grow with what's already on the board.
+test("stroke layer updates cost the same with thousands of strokes as with a hundred", () => {
+  const layer = createStrokeLayer({ paint: (s) => getSvgPath(s), clear: () => {} });
+  let canvas = EMPTY_CANVAS;
+  const frameTimes = [];
+  for (let i = 0; i < 3000; i++) {
+    canvas = applyOp(canvas, { type: "stroke", stroke: wiggle(i) });
+    const start = performance.now();
+    const painted = layer.update(canvas.strokes) + layer.update(canvas.strokes);
+    frameTimes.push(performance.now() - start);
+    expect(painted).toBe(1);
+  }
+  expectFlat(frameTimes);
+});
+
+test("re-rendering a canvas only outlines strokes it hasn't seen", () => {
+  let canvas = EMPTY_CANVAS;
+  for (let i = 0; i < 1000; i++) canvas = applyOp(canvas, { type: "stroke", stroke: wiggle(i) });
+  const { rerender } = render(<DrawingCanvas enabled={false} strokes={canvas.strokes} width={480} height={320} />);
+  getStroke.mockClear();
+  rerender(<DrawingCanvas enabled={false} strokes={canvas.strokes} width={480} height={320} />);
+  expect(getStroke).not.toHaveBeenCalled();
+  canvas = applyOp(canvas, { type: "stroke", stroke: wiggle(1000) });
+  rerender(<DrawingCanvas enabled={false} strokes={canvas.strokes} width={480} height={320} />);
+  expect(getStroke).toHaveBeenCalledTimes(1);
+});
+
+// The same through the component: each re-render with one more stroke paints
+// just that stroke onto the baked layer and takes no longer at the end.
+test("a canvas re-render costs the same with thousands of strokes as with a hundred", () => {
+  const bitmaps = fakeBitmaps();
+  const props = { enabled: false, width: 480, height: 320 };
+  let canvas = EMPTY_CANVAS;
+  const { rerender } = render(<DrawingCanvas {...props} strokes={canvas.strokes} />);
+  const frameTimes = [];
+  for (let i = 0; i < 2000; i++) {
+    canvas = applyOp(canvas, { type: "stroke", stroke: wiggle(i) });
+    const fills = bitmaps.ctx.fills;
+    const start = performance.now();
+    rerender(<DrawingCanvas {...props} strokes={canvas.strokes} />);
+    frameTimes.push(performance.now() - start);
+    expect(bitmaps.ctx.fills - fills).toBe(1);
+  }
+  expectFlat(frameTimes);
+
+  // Undo repaints only the strokes around the one it took away.
+  const fills = bitmaps.ctx.fills;
+  rerender(<DrawingCanvas {...props} strokes={applyOp(canvas, { type: "undo" }).strokes} />);
+  expect(bitmaps.ctx.fills - fills).toBeGreaterThan(0);
+  expect(bitmaps.ctx.fills - fills).toBeLessThan(100);
+  bitmaps.restore();
+});
+
+// Drags the eraser across a row of upright strokes, with `background` more
+// strokes elsewhere on the board, and times each frame. Returns how many
+// fills each frame took too.
+function eraseDrag(background) {
+  const bitmaps = fakeBitmaps();
+  const frames = [];
+  const raf = jest.spyOn(window, "requestAnimationFrame").mockImplementation((cb) => frames.push(cb));
+  const row = Array.from({ length: 30 }, (_, i) => makeStroke([40, 70, 100, 130, 160].map((y) => [15 + i * 30, y])));
+  const rest = Array.from({ length: background }, (_, i) => makeStroke([[(i * 37) % 900, 400 + ((i * 53) % 200)], [(i * 37) % 900 + 20, 400 + ((i * 53) % 200)]]));
+  const { unmount } = render(<DrawingCanvas enabled strokes={[...rest, ...row]} onOp={() => {}} width={960} height={640} />);
+  const svg = screen.getByRole("img");
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 960, height: 640 });
+  const move = (type, x) => {
+    const event = createEvent[type](svg);
+    const fields = { clientX: x, clientY: 100, pointerId: 1, pointerType: "mouse", button: 0 };
+    Object.entries(fields).forEach(([key, value]) => Object.defineProperty(event, key, { value }));
+    fireEvent(svg, event);
+  };
+  fireEvent.click(screen.getByTitle("Eraser"));
+  move("pointerDown", 0);
+  const fills = [];
+  const frameTimes = [];
+  for (let x = 6; x <= 900; x += 6) {
+    const before = bitmaps.ctx.fills;
+    const start = performance.now();
+    move("pointerMove", x);
+    act(() => frames.splice(0).forEach((cb) => cb(0)));
+    frameTimes.push(performance.now() - start);
+    fills.push(bitmaps.ctx.fills - before);
+  }
+  unmount();
+  raf.mockRestore();
+  bitmaps.restore();
+  return { fills, time: average(frameTimes) };
+}
+
+// Each frame erases along the eraser's newest segment and repaints around
+// what it cut, so strokes elsewhere on the board cost it nothing.
+test("erasing costs the same with thousands of strokes as with a few hundred", () => {
+  const few = eraseDrag(200);
+  const many = eraseDrag(2000);
+  expect(many.fills).toEqual(few.fills);
+  expect(few.fills.some((n) => n > 0)).toBe(true);
+  expect(many.time).toBeLessThan(few.time * 4 + 0.05);
+});
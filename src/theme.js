@@ -0,0 +1,11 @@
+// === Minimalist palette ===
+export const BG = "#f3f4f6";
+export const ACCENT = "#bfc8db";
+export const CANVAS_BG = "#f9fafb";
+export const CANVAS_BORDER = "#cbd3e1";
+export const BTN = "#eceef2";
+export const BTN_TEXT = "#46546c";
+export const TEXT1 = "#374151";
+export const TEXT2 = "#7b8799";
+export const WIN = "#529b6b";
+export const LOSE = "#c37d7d";